@@ -0,0 +1,90 @@
+import { readFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, resolve } from 'node:path';
+
+// --- PROXY CONFIG ---
+// Settings come from server/config.json (optional, git-ignored: it may hold keys), then
+// environment variables, which win. See config.example.json for every field.
+//   upstream            'gemini' | 'openai' | 'stub' (canned answers, no network)
+//   geminiApiKey        GEMINI_API_KEY
+//   openaiApiKey        OPENAI_API_KEY (optional for local servers)
+//   openaiBaseUrl       OPENAI_BASE_URL
+//   model               FLUID_MODEL; the browser can't choose, the key's owner does
+//   allowedOrigins      FLUID_ALLOWED_ORIGINS, comma separated; '*' for any
+//   rateLimitPerMinute  FLUID_RATE_LIMIT, generations per client per minute
+//   maxBodyBytes        FLUID_MAX_BODY_BYTES, larger requests get a 413
+//   logFile             FLUID_PROXY_LOG, JSON lines of prompt/response pairs; '' for none.
+//                       Relative paths are relative to server/.
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+
+export const UPSTREAMS = ['gemini', 'openai', 'stub'];
+
+export const DEFAULT_CONFIG = {
+  host: '127.0.0.1',
+  port: 8787,
+  upstream: 'gemini',
+  model: '',
+  geminiApiKey: '',
+  openaiApiKey: '',
+  openaiBaseUrl: 'http://localhost:11434/v1',
+  allowedOrigins: ['http://localhost:3000'],
+  rateLimitPerMinute: 20,
+  maxBodyBytes: 256 * 1024,
+  logFile: 'logs/generations.jsonl'
+};
+
+export const DEFAULT_MODELS = { gemini: 'gemini-2.5-flash', openai: 'llama3.1', stub: 'canned' };
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+const ENV = {
+  FLUID_PROXY_HOST: ['host', String],
+  FLUID_PROXY_PORT: ['port', Number],
+  FLUID_UPSTREAM: ['upstream', String],
+  FLUID_MODEL: ['model', String],
+  GEMINI_API_KEY: ['geminiApiKey', String],
+  OPENAI_API_KEY: ['openaiApiKey', String],
+  OPENAI_BASE_URL: ['openaiBaseUrl', String],
+  FLUID_ALLOWED_ORIGINS: ['allowedOrigins', (v) => v.split(',').map(s => s.trim()).filter(Boolean)],
+  FLUID_RATE_LIMIT: ['rateLimitPerMinute', Number],
+  FLUID_MAX_BODY_BYTES: ['maxBodyBytes', Number],
+  FLUID_PROXY_LOG: ['logFile', String]
+};
+
+const readFile = (path) => {
+  if (!existsSync(path)) return {};
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`${path} is not valid JSON (${e.message}).`);
+  }
+};
+
+// Throws ConfigError when the proxy couldn't work as configured, so it fails at startup
+// rather than on the first request.
+export function loadConfig({ env = process.env, file = env.FLUID_PROXY_CONFIG || resolve(HERE, 'config.json') } = {}) {
+  const config = { ...DEFAULT_CONFIG, ...readFile(file) };
+  for (const [name, [key, parse]] of Object.entries(ENV)) {
+    if (env[name] !== undefined && env[name] !== '') config[key] = parse(env[name]);
+  }
+  if (env.FLUID_PROXY_LOG === '') config.logFile = '';
+
+  if (!UPSTREAMS.includes(config.upstream)) {
+    throw new ConfigError(`Unknown upstream '${config.upstream}', expected one of ${UPSTREAMS.join(', ')}.`);
+  }
+  if (config.upstream === 'gemini' && !config.geminiApiKey) {
+    throw new ConfigError("The gemini upstream needs GEMINI_API_KEY (or geminiApiKey in config.json).");
+  }
+  for (const key of ['port', 'rateLimitPerMinute', 'maxBodyBytes']) {
+    if (!Number.isFinite(config[key]) || config[key] <= 0) throw new ConfigError(`'${key}' must be a positive number.`);
+  }
+  if (!config.model) config.model = DEFAULT_MODELS[config.upstream];
+  if (config.logFile) config.logFile = resolve(HERE, config.logFile);
+  return config;
+}
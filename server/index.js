@@ -0,0 +1,201 @@
+import { createServer } from 'node:http';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadConfig, ConfigError } from './config.js';
+import { createRateLimiter } from './rateLimit.js';
+import { createLogger } from './log.js';
+import { UPSTREAM_IMPLEMENTATIONS, UpstreamError } from './upstreams.js';
+
+// --- FLUID OS PROXY ---
+// Optional. Holds the model credentials so the browser never sees them; the front end's
+// "Proxy server" provider calls it instead of the model.
+//   GET  /api/health    { ok, upstream, model }
+//   POST /api/generate  { systemPrompt, prompt, schema?: 'tool' | 'patch', responseSchema? }
+//        -> text/event-stream of  data: { "delta": "..." }  ending with  data: [DONE]
+//           (or  data: { "error", "status" }  if the upstream fails mid-answer)
+// Before anything streams, failures are plain JSON { error } with a status: 400 bad
+// request, 403 origin not allowed, 413 too large, 429 rate limited (with Retry-After),
+// 502 the upstream failed or refused our credentials.
+// createProxyServer() takes the upstream, logger and limiter as options so tests can
+// swap in the stub upstream (or their own) and run it without a network or a key.
+
+const SCHEMAS = ['tool', 'patch'];
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const retryHeaders = (retryAfterMs) => retryAfterMs !== undefined ? { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) } : {};
+
+// Reads the whole body, refusing anything over maxBytes. Oversized uploads are cut off
+// once the 413 has gone out rather than read to the end.
+const readBody = (req, maxBytes) => new Promise((resolveBody, reject) => {
+  if (Number(req.headers['content-length']) > maxBytes) {
+    reject(new HttpError(413, `Request too large (limit ${maxBytes} bytes).`, { Connection: 'close' }));
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      reject(new HttpError(413, `Request too large (limit ${maxBytes} bytes).`, { Connection: 'close' }));
+      req.pause();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolveBody(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const parseRequest = (raw) => {
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch (e) {
+    throw new HttpError(400, 'Body is not valid JSON.');
+  }
+  if (!body || typeof body !== 'object') throw new HttpError(400, 'Body must be a JSON object.');
+  if (typeof body.systemPrompt !== 'string' || !body.systemPrompt.trim()) throw new HttpError(400, "Missing 'systemPrompt'.");
+  if (typeof body.prompt !== 'string' || !body.prompt.trim()) throw new HttpError(400, "Missing 'prompt'.");
+  const schema = body.schema === undefined ? 'tool' : body.schema;
+  if (!SCHEMAS.includes(schema)) throw new HttpError(400, `'schema' must be one of ${SCHEMAS.join(', ')}.`);
+  const responseSchema = body.responseSchema && typeof body.responseSchema === 'object' ? body.responseSchema : undefined;
+  return { systemPrompt: body.systemPrompt, prompt: body.prompt, schema, responseSchema };
+};
+
+// What the browser gets for an upstream failure. Only a rate limit is something it can
+// act on (by waiting); a rejected key is the proxy owner's to fix, not the user's.
+const publicError = (e, upstreamId) => {
+  if (!(e instanceof UpstreamError)) return { status: 500, message: 'The proxy hit an internal error. See its log.' };
+  if (e.status === 429) return { status: 429, message: e.message, retryAfterMs: e.retryAfterMs };
+  if (e.status === 401 || e.status === 403) return { status: 502, message: `The proxy's ${upstreamId} credentials were rejected. Check the server config.` };
+  return { status: 502, message: e.message };
+};
+
+export function createProxyServer(config, {
+  upstream = UPSTREAM_IMPLEMENTATIONS[config.upstream],
+  logger = createLogger(config.logFile),
+  limiter = createRateLimiter({ max: config.rateLimitPerMinute })
+} = {}) {
+  const corsHeaders = (origin) => origin ? {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'Retry-After',
+    Vary: 'Origin'
+  } : {};
+  // Requests without an Origin (curl, scripts on this machine) aren't from a browser page.
+  const originAllowed = (origin) => !origin || config.allowedOrigins.includes('*') || config.allowedOrigins.includes(origin);
+
+  const generate = async (req, res, cors) => {
+    const client = req.socket.remoteAddress || 'unknown';
+    const allowed = limiter.take(client);
+    if (!allowed.ok) {
+      throw new HttpError(429, `Too many requests: at most ${config.rateLimitPerMinute} generations a minute.`, retryHeaders(allowed.retryAfterMs));
+    }
+    const request = parseRequest(await readBody(req, config.maxBodyBytes));
+
+    // The user pressing Cancel closes the connection; stop paying for the answer too.
+    const controller = new AbortController();
+    res.on('close', () => { if (!res.writableFinished) controller.abort(); });
+
+    let streaming = false;
+    const startStream = () => {
+      if (streaming) return;
+      streaming = true;
+      res.writeHead(200, { ...cors, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    };
+    const started = Date.now();
+    const entry = { client, upstream: upstream.id, model: config.model, schema: request.schema, systemPromptChars: request.systemPrompt.length, prompt: request.prompt };
+
+    try {
+      const text = await upstream.generate({
+        ...request,
+        config,
+        signal: controller.signal,
+        onDelta: (delta) => { startStream(); res.write(`data: ${JSON.stringify({ delta })}\n\n`); }
+      });
+      startStream();
+      res.end('data: [DONE]\n\n');
+      logger.log({ ...entry, response: text, ms: Date.now() - started });
+    } catch (e) {
+      if (controller.signal.aborted) {
+        logger.log({ ...entry, error: 'Cancelled by the client.', ms: Date.now() - started });
+        return;
+      }
+      const { status, message, retryAfterMs } = publicError(e, upstream.id);
+      logger.log({ ...entry, error: e.message, status: e.status || status, ms: Date.now() - started });
+      if (!(e instanceof UpstreamError)) console.error(e);
+      if (streaming) res.end(`data: ${JSON.stringify({ error: message, status })}\n\n`);
+      else sendJson(res, status, { error: message }, { ...cors, ...retryHeaders(retryAfterMs) });
+    }
+  };
+
+  const handle = async (req, res) => {
+    const origin = req.headers.origin;
+    if (!originAllowed(origin)) throw new HttpError(403, `Origin ${origin} is not allowed.`);
+    const cors = corsHeaders(origin);
+    const { pathname } = new URL(req.url, 'http://proxy');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+    } else if (req.method === 'GET' && pathname === '/api/health') {
+      sendJson(res, 200, { ok: true, upstream: upstream.id, model: config.model }, cors);
+    } else if (req.method === 'POST' && pathname === '/api/generate') {
+      try {
+        await generate(req, res, cors);
+      } catch (e) {
+        throw Object.assign(e, { cors });
+      }
+    } else {
+      throw new HttpError(404, 'Not found.');
+    }
+  };
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch(e => {
+      if (res.headersSent) return res.end();
+      if (e instanceof HttpError) {
+        sendJson(res, e.status, { error: e.message }, { ...e.cors, ...e.headers });
+        if (e.status === 413) res.on('finish', () => req.destroy());
+      } else {
+        console.error(e);
+        sendJson(res, 500, { error: 'The proxy hit an internal error. See its log.' }, e.cors);
+      }
+    });
+  });
+
+  const sweeper = setInterval(() => limiter.sweep(), 60000);
+  sweeper.unref();
+  server.on('close', () => clearInterval(sweeper));
+  return server;
+}
+
+// `node server/index.js` (or `npm run proxy`) starts it with loadConfig()'s settings.
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    console.error(`Fluid OS proxy: ${e.message}`);
+    process.exit(1);
+  }
+  createProxyServer(config).listen(config.port, config.host, () => {
+    console.log(`Fluid OS proxy on http://${config.host}:${config.port} -> ${config.upstream} (${config.model})`);
+    console.log(config.logFile ? `Logging generations to ${config.logFile}` : 'Generation log is off.');
+  });
+}
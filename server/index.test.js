@@ -0,0 +1,182 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProxyServer } from './index.js';
+import { loadConfig, ConfigError } from './config.js';
+import { createRateLimiter } from './rateLimit.js';
+import { UpstreamError, STUB_TOOL, STUB_PATCH } from './upstreams.js';
+
+// `npm test` in server/ (node --test). Every server runs on a free port against the stub
+// upstream or a hand-made one; nothing touches the network or a key.
+
+const ORIGIN = 'http://localhost:3000';
+const config = loadConfig({ env: { FLUID_UPSTREAM: 'stub', FLUID_PROXY_LOG: '' }, file: '/nonexistent/config.json' });
+const BODY = { systemPrompt: 'You build tools.', prompt: 'a counter' };
+
+// Starts a proxy, returns { url, logged, close }.
+const start = async (options = {}, overrides = {}) => {
+  const logged = [];
+  const server = createProxyServer({ ...config, ...overrides }, { logger: { log: (entry) => { logged.push(entry); } }, ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    logged,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+const post = (url, body, headers = {}) => fetch(`${url}/api/generate`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Origin: ORIGIN, ...headers },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+// The deltas of an event-stream response joined up, and any error event.
+const readStream = async (res) => {
+  let text = '';
+  let error;
+  for (const line of (await res.text()).split('\n')) {
+    if (!line.startsWith('data: ') || line === 'data: [DONE]') continue;
+    const event = JSON.parse(line.slice(6));
+    if (event.error) error = event;
+    else text += event.delta;
+  }
+  return { text, error };
+};
+
+describe('proxy with the stub upstream', () => {
+  let proxy;
+  before(async () => { proxy = await start(); });
+  after(() => proxy.close());
+
+  test('health names the upstream and model', async () => {
+    const res = await fetch(`${proxy.url}/api/health`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { ok: true, upstream: 'stub', model: 'canned' });
+  });
+
+  test('streams the stub tool and logs the generation', async () => {
+    const res = await post(proxy.url, BODY);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+    assert.equal(res.headers.get('access-control-allow-origin'), ORIGIN);
+    const { text, error } = await readStream(res);
+    assert.equal(error, undefined);
+    assert.deepEqual(JSON.parse(text), STUB_TOOL);
+    const entry = proxy.logged.at(-1);
+    assert.equal(entry.prompt, 'a counter');
+    assert.equal(entry.response, text);
+    assert.equal(entry.systemPromptChars, BODY.systemPrompt.length);
+  });
+
+  test('edit requests get the stub patch', async () => {
+    const { text } = await readStream(await post(proxy.url, { ...BODY, schema: 'patch' }));
+    assert.deepEqual(JSON.parse(text), STUB_PATCH);
+  });
+
+  test('bad requests are 400s with a reason', async () => {
+    const cases = [
+      ['{', /not valid JSON/],
+      [{ prompt: 'x' }, /systemPrompt/],
+      [{ systemPrompt: 'x', prompt: '  ' }, /prompt/],
+      [{ ...BODY, schema: 'poem' }, /'schema' must be one of tool, patch/]
+    ];
+    for (const [body, reason] of cases) {
+      const res = await post(proxy.url, body);
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, reason);
+    }
+  });
+
+  test('other origins and unknown paths are refused', async () => {
+    assert.equal((await post(proxy.url, BODY, { Origin: 'https://elsewhere.example' })).status, 403);
+    assert.equal((await fetch(`${proxy.url}/api/nope`)).status, 404);
+  });
+
+  test('preflight requests get the CORS headers', async () => {
+    const res = await fetch(`${proxy.url}/api/generate`, { method: 'OPTIONS', headers: { Origin: ORIGIN } });
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.get('access-control-allow-origin'), ORIGIN);
+    assert.match(res.headers.get('access-control-expose-headers'), /Retry-After/);
+  });
+});
+
+describe('proxy limits', () => {
+  test('oversized bodies get a 413', async () => {
+    const proxy = await start({}, { maxBodyBytes: 100 });
+    try {
+      const res = await post(proxy.url, { ...BODY, prompt: 'x'.repeat(200) });
+      assert.equal(res.status, 413);
+      assert.match((await res.json()).error, /limit 100 bytes/);
+    } finally {
+      await proxy.close();
+    }
+  });
+
+  test('too many generations get a 429 with Retry-After', async () => {
+    const proxy = await start({ limiter: createRateLimiter({ max: 1 }) }, { rateLimitPerMinute: 1 });
+    try {
+      assert.equal((await post(proxy.url, BODY)).status, 200);
+      const res = await post(proxy.url, BODY);
+      assert.equal(res.status, 429);
+      assert.equal(res.headers.get('retry-after'), '60');
+    } finally {
+      await proxy.close();
+    }
+  });
+});
+
+describe('upstream failures', () => {
+  const failing = (error, deltas = []) => ({
+    id: 'test',
+    async generate({ onDelta }) {
+      deltas.forEach(onDelta);
+      throw error;
+    }
+  });
+
+  test('before streaming: a JSON error with the status', async () => {
+    const proxy = await start({ upstream: failing(new UpstreamError('Quota exceeded.', { status: 429, retryAfterMs: 17000 })) });
+    try {
+      const res = await post(proxy.url, BODY);
+      assert.equal(res.status, 429);
+      assert.equal(res.headers.get('retry-after'), '17');
+      assert.deepEqual(await res.json(), { error: 'Quota exceeded.' });
+    } finally {
+      await proxy.close();
+    }
+  });
+
+  test("rejected credentials are the proxy owner's problem, not the user's", async () => {
+    const proxy = await start({ upstream: failing(new UpstreamError('API key not valid.', { status: 403 })) });
+    try {
+      const res = await post(proxy.url, BODY);
+      assert.equal(res.status, 502);
+      assert.match((await res.json()).error, /test credentials were rejected/);
+      assert.equal(proxy.logged.at(-1).status, 403);
+    } finally {
+      await proxy.close();
+    }
+  });
+
+  test('mid-answer: an error event ends the stream', async () => {
+    const proxy = await start({ upstream: failing(new UpstreamError('Upstream went away.'), ['{"tools"']) });
+    try {
+      const res = await post(proxy.url, BODY);
+      assert.equal(res.status, 200);
+      const { text, error } = await readStream(res);
+      assert.equal(text, '{"tools"');
+      assert.deepEqual(error, { error: 'Upstream went away.', status: 502 });
+    } finally {
+      await proxy.close();
+    }
+  });
+});
+
+describe('config', () => {
+  test('env settings win and are checked', () => {
+    assert.equal(loadConfig({ env: { FLUID_UPSTREAM: 'stub', FLUID_RATE_LIMIT: '5' }, file: '/nonexistent' }).rateLimitPerMinute, 5);
+    assert.throws(() => loadConfig({ env: { FLUID_UPSTREAM: 'nope' }, file: '/nonexistent' }), ConfigError);
+    assert.throws(() => loadConfig({ env: { FLUID_UPSTREAM: 'gemini' }, file: '/nonexistent' }), /GEMINI_API_KEY/);
+    assert.throws(() => loadConfig({ env: { FLUID_UPSTREAM: 'stub', FLUID_PROXY_PORT: 'x' }, file: '/nonexistent' }), /'port'/);
+  });
+});
@@ -0,0 +1,26 @@
+import { appendFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// --- GENERATION LOG ---
+// One JSON line per request: who asked, what was asked, what came back (or the error)
+// and how long it took. The system prompt is the same every time and long, so only its
+// size is kept. Writes are queued so lines never interleave; a failing disk is reported
+// once and otherwise ignored, it shouldn't take generation down with it.
+
+export function createLogger(file) {
+  if (!file) return { log: () => Promise.resolve() };
+  let ready = mkdir(dirname(file), { recursive: true });
+  let warned = false;
+
+  return {
+    log(entry) {
+      ready = ready
+        .then(() => appendFile(file, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n'))
+        .catch(e => {
+          if (!warned) console.warn(`Could not write the generation log (${e.message}).`);
+          warned = true;
+        });
+      return ready;
+    }
+  };
+}
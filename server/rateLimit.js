@@ -0,0 +1,28 @@
+// --- PER-CLIENT RATE LIMIT ---
+// A sliding window: each client may start `max` generations in any `windowMs`. take()
+// either counts the request or says how long until the oldest one leaves the window,
+// which the server sends back as Retry-After (the front end's cooldown reads it).
+
+export function createRateLimiter({ max, windowMs = 60000 }) {
+  const hits = new Map(); // client -> [epoch ms, ...] oldest first
+
+  const prune = (client, now) => {
+    const recent = (hits.get(client) || []).filter(t => now - t < windowMs);
+    if (recent.length) hits.set(client, recent);
+    else hits.delete(client);
+    return recent;
+  };
+
+  return {
+    take(client, now = Date.now()) {
+      const recent = prune(client, now);
+      if (recent.length >= max) return { ok: false, retryAfterMs: windowMs - (now - recent[0]) };
+      hits.set(client, [...recent, now]);
+      return { ok: true, remaining: max - recent.length - 1 };
+    },
+    // Drops clients with nothing in the window, so the map doesn't grow forever.
+    sweep(now = Date.now()) {
+      [...hits.keys()].forEach(client => prune(client, now));
+    }
+  };
+}
@@ -0,0 +1,165 @@
+// --- UPSTREAM MODELS ---
+// Where the proxy sends a generation, using the credentials from its own config. Each
+// upstream is { id, generate({ config, systemPrompt, prompt, schema, responseSchema,
+// signal, onDelta }) } resolving to the whole answer text; onDelta(text) is called with
+// each new piece as it streams in. Failures reject with an UpstreamError carrying the
+// HTTP status the upstream gave (and its retry hint, for 429s).
+
+export class UpstreamError extends Error {
+  constructor(message, { status = 502, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// "17s" (Gemini RetryInfo) or a Retry-After header in seconds.
+const retryAfterOf = (value) => {
+  const m = String(value ?? '').match(/^\s*(\d+(?:\.\d+)?)\s*s?\s*$/);
+  return m ? Math.ceil(Number(m[1]) * 1000) : undefined;
+};
+
+// Calls onData(parsed JSON) for every "data:" line of a server-sent event stream.
+const readEventStream = async (body, onData) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const handle = (line) => {
+    const data = line.replace(/^data:\s*/, '').trim();
+    if (!line.startsWith('data:') || !data || data === '[DONE]') return;
+    try {
+      onData(JSON.parse(data));
+    } catch (e) {
+      // A keep-alive or vendor extra we don't understand; skip it.
+    }
+  };
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handle);
+  }
+  // A stream may end without a final newline; its last line still counts.
+  buffer += decoder.decode();
+  buffer.split('\n').forEach(handle);
+};
+
+const failed = async (res, label) => {
+  const detail = await res.text().catch(() => '');
+  let message = detail;
+  let retryAfterMs = retryAfterOf(res.headers.get('retry-after'));
+  try {
+    const error = JSON.parse(detail).error || {};
+    message = error.message || detail;
+    const info = (error.details || []).find(d => String(d['@type'] || '').endsWith('RetryInfo'));
+    if (info) retryAfterMs = retryAfterOf(info.retryDelay);
+  } catch (e) {
+    // Not JSON; keep the raw text.
+  }
+  return new UpstreamError(`${label}: [${res.status}] ${message}`.trim(), { status: res.status, retryAfterMs });
+};
+
+const post = async (url, { headers, body, signal, label }) => {
+  let res;
+  try {
+    res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body), signal });
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    throw new UpstreamError(`${label} could not be reached (${e.message}).`, { status: 502 });
+  }
+  if (!res.ok) throw await failed(res, label);
+  return res;
+};
+
+// Google Gemini over REST. The browser sends the response schema it wants enforced
+// (it's derived from the block catalog, which lives there).
+const gemini = {
+  id: 'gemini',
+  async generate({ config, systemPrompt, prompt, responseSchema, signal, onDelta }) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(config.model)}:streamGenerateContent?alt=sse`;
+    const res = await post(url, {
+      label: 'Gemini',
+      signal,
+      headers: { 'x-goog-api-key': config.geminiApiKey },
+      body: {
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { responseMimeType: 'application/json', ...(responseSchema ? { responseSchema } : {}) }
+      }
+    });
+    let text = '';
+    await readEventStream(res.body, (chunk) => {
+      const parts = chunk.candidates?.[0]?.content?.parts || [];
+      const delta = parts.map(p => p.text || '').join('');
+      if (delta) { text += delta; onDelta(delta); }
+    });
+    return text;
+  }
+};
+
+// Anything speaking the OpenAI chat-completions dialect (OpenAI, Ollama, LM Studio...).
+const openai = {
+  id: 'openai',
+  async generate({ config, systemPrompt, prompt, signal, onDelta }) {
+    const res = await post(`${config.openaiBaseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      label: 'OpenAI-compatible server',
+      signal,
+      headers: config.openaiApiKey ? { Authorization: `Bearer ${config.openaiApiKey}` } : {},
+      body: {
+        model: config.model,
+        response_format: { type: 'json_object' },
+        stream: true,
+        messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content: prompt }]
+      }
+    });
+    if (!(res.headers.get('content-type') || '').includes('event-stream')) {
+      const text = (await res.json()).choices?.[0]?.message?.content || '';
+      onDelta(text);
+      return text;
+    }
+    let text = '';
+    await readEventStream(res.body, (chunk) => {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) { text += delta; onDelta(delta); }
+    });
+    return text;
+  }
+};
+
+// No network, no key: a fixed counter tool (or, in edit mode, a reply with no changes),
+// streamed in a few pieces. For trying the proxy out and for tests.
+export const STUB_TOOL = {
+  message: '[stub] Created Counter.',
+  tools: [{
+    tool_name: 'Counter',
+    archetype: 'Accumulator',
+    blueprint: [
+      { type: 'HeroStat', label: 'Total', value_key: 'count' },
+      { type: 'ActionButton', label: '+1', action: 'INCREMENT_COUNT', payload: { key: 'count', amount: 1 } }
+    ],
+    initial_state: { count: 0 }
+  }]
+};
+
+export const STUB_PATCH = { operations: [], initial_state: {}, message: '[stub] No changes made.' };
+
+const STUB_CHUNKS = 4;
+
+const stub = {
+  id: 'stub',
+  async generate({ schema, signal, onDelta }) {
+    const text = JSON.stringify(schema === 'patch' ? STUB_PATCH : STUB_TOOL);
+    const size = Math.ceil(text.length / STUB_CHUNKS);
+    for (let i = 0; i < text.length; i += size) {
+      if (signal && signal.aborted) throw Object.assign(new Error('The stub request was aborted.'), { name: 'AbortError' });
+      onDelta(text.slice(i, i + size));
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return text;
+  }
+};
+
+export const UPSTREAM_IMPLEMENTATIONS = { gemini, openai, stub };
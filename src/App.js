@@ -1,94 +1,111 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { 
   Settings, Activity, Smartphone, MessageSquare, Grid, Plus, 
-  Trash2, X, Send, AlertTriangle, Loader2, Maximize2, Minimize2 
+  X, Send, AlertTriangle, Loader2, Maximize2, Minimize2, Check,
+  Undo2, Redo2, History, Share2, Download, Upload, Link, Bell, Search, Archive 
 } from 'lucide-react';
-import { GoogleGenerativeAI, SchemaType } from '@google/generative-ai';
 import A2UIRenderer from './A2UIRenderer';
+import DockTile from './DockTile';
+import { duplicateApp, moveApp, dockApps } from './engine/dock';
+import { patchToTool, migrateState } from './engine/patch';
+import { recordAction, undo, redo, canUndo, canRedo, reviseApp, restoreVersion } from './engine/history';
+import { applyAction, ActionError } from './engine/actions';
+import { openAppStore, mergeRemoteChanges } from './storage';
+import { loadGeneralThread, saveGeneralThread, appendToThread, lastActivity } from './storage/threads';
+import { checkRules, markAlertsSeen, alertPrefs, hasAlerts } from './engine/rules';
+import { isRunning, isFinished } from './engine/timers';
+import { rollOver, endPeriod, hasSchedule } from './engine/periods';
+import { playChime, showNotification, requestNotifications, notificationPermission } from './alerts';
+import { exportApps, importTools, parseToolFile, encodeShareLink, decodeShareLink, LINK_PREFIX } from './engine/portable';
+import { instantTool, describeTemplates } from './templates';
 import { SYSTEM_PROMPT } from './ai/systemPrompt'; 
+import { describeError } from './ai/errors';
+import { MAX_RETRIES, DEFAULT_COOLDOWN_MS, MAX_REQUEUES } from './ai/retry';
+import { describeProgress } from './ai/progress';
+import { EDIT_INSTRUCTIONS, buildEditPrompt } from './ai/editPrompt';
+import { 
+  PROVIDERS, getProvider, loadProviderSettings, saveProviderSettings, isProviderReady, generateTools 
+} from './ai/providers';
 
-const GEMINI_MODEL_VERSION = "gemini-2.5-flash"; 
-
-// --- 1. THE STRICT SCHEMA (Satisfies Error 400) ---
-// We must explicitly list every key we might use.
-const RESPONSE_SCHEMA = {
-  type: SchemaType.OBJECT,
-  properties: {
-    tool_name: { type: SchemaType.STRING },
-    archetype: { type: SchemaType.STRING, enum: ["Accumulator", "Regulator", "Checklist", "Drafter"] },
-    
-    // FIX: Explicitly define all possible state keys
-    initial_state: { 
-      type: SchemaType.OBJECT, 
-      properties: {
-        count: { type: SchemaType.NUMBER, nullable: true },
-        is_running: { type: SchemaType.BOOLEAN, nullable: true },
-        finished: { type: SchemaType.BOOLEAN, nullable: true },
-        time_remaining: { type: SchemaType.NUMBER, nullable: true },
-        // For lists, we define the structure
-        items: { 
-            type: SchemaType.ARRAY, 
-            nullable: true,
-            items: {
-                type: SchemaType.OBJECT,
-                properties: {
-                    label: { type: SchemaType.STRING },
-                    checked: { type: SchemaType.BOOLEAN },
-                    id: { type: SchemaType.NUMBER, nullable: true }
-                }
-            } 
-        }
-      },
-      nullable: true
-    }, 
-
-    blueprint: {
-      type: SchemaType.ARRAY,
-      items: {
-        type: SchemaType.OBJECT,
-        properties: {
-          type: { type: SchemaType.STRING },
-          label: { type: SchemaType.STRING },
-          value_key: { type: SchemaType.STRING },
-          action: { type: SchemaType.STRING },
-          items_key: { type: SchemaType.STRING },
-          state_key: { type: SchemaType.STRING },
-          
-          // FIX: Explicitly define all possible payload keys
-          payload: { 
-            type: SchemaType.OBJECT, 
-            properties: {
-                key: { type: SchemaType.STRING, nullable: true },
-                amount: { type: SchemaType.NUMBER, nullable: true },
-                value: { type: SchemaType.STRING, nullable: true },
-                index: { type: SchemaType.NUMBER, nullable: true },
-                initialValue: { type: SchemaType.NUMBER, nullable: true }
-            },
-            nullable: true 
-          } 
-        }
-      }
-    },
-    message: { type: SchemaType.STRING }
-  },
-  required: ["tool_name", "archetype", "blueprint", "initial_state"]
-};
+const prefersReducedMotion = () => !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
 export default function App() {
-  const [apiKey, setApiKey] = useState(localStorage.getItem('gemini_key') || '');
-  const [apps, setApps] = useState(() => JSON.parse(localStorage.getItem('neural_apps') || '[]'));
-  const [messages, setMessages] = useState([{ role: 'model', text: "Ready. What shall we build?" }]);
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [apps, setApps] = useState([]);
+  const [storageReady, setStorageReady] = useState(false);
+  const storeRef = useRef(null);
+  const [generalThread, setGeneralThread] = useState(loadGeneralThread);
   const [input, setInput] = useState('');
   const [activeAppId, setActiveAppId] = useState(null); 
   const [view, setView] = useState('chat'); 
   const [loading, setLoading] = useState(false);
   const [rateLimitTimer, setRateLimitTimer] = useState(0); 
-  const [settingsOpen, setSettingsOpen] = useState(!apiKey);
+  const [queue, setQueue] = useState([]);
+  const [progress, setProgress] = useState('');
+  const abortRef = useRef(null);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [settingsProvider, setSettingsProvider] = useState(providerSettings.provider);
   const messagesEndRef = useRef(null);
   const [isInputExpanded, setIsInputExpanded] = useState(false);
+  const [revision, setRevision] = useState(null); // { appId, tool } proposed by an edit, awaiting accept/reject
+  const [versionsOpen, setVersionsOpen] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
+  const [alertsOpen, setAlertsOpen] = useState(false);
+  const [toasts, setToasts] = useState([]);
+  const [clock, setClock] = useState(0);
+  const [periodClock, setPeriodClock] = useState(0);
+  const [dockQuery, setDockQuery] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  const [dragId, setDragId] = useState(null);
+  const [dragOverId, setDragOverId] = useState(null);
+  const importInputRef = useRef(null);
+  const sharedLinkHandled = useRef(false);
+  const chatInputRef = useRef(null);
+  const stageTitleRef = useRef(null);
+  const dockSearchRef = useRef(null);
+  const settingsReturnFocus = useRef(null);
+  const firstView = useRef(true);
+
+  const activeApp = apps.find(a => a.id === activeAppId);
+
+  // --- CHAT THREADS (see storage/threads) ---
+  // The chat shows the open app's thread, or the general one when no app is open, so
+  // resuming a thread is just opening its app. Derived up here because the scroll effect
+  // below depends on it; memoised so an app without a thread doesn't hand that effect a
+  // new [] on every render.
+  const activeThread = activeApp && activeApp.thread;
+  const messages = useMemo(
+    () => activeApp ? (activeThread || []) : generalThread,
+    [activeApp ? activeApp.id : null, activeThread, generalThread]
+  );
+  const greeting = activeApp
+    ? `This is the thread for ${activeApp.title}. Ask for changes and they'll show up as a preview.`
+    : isProviderReady(providerSettings) 
+      ? "Ready. What shall we build?" 
+      : `Ready. What shall we build? Without an API key I can still make a ${describeTemplates()} on the spot.`;
 
-  useEffect(() => { localStorage.setItem('neural_apps', JSON.stringify(apps)); }, [apps]);
-  useEffect(() => { messagesEndRef.current?.scrollIntoView({ behavior: "smooth" }); }, [messages, loading]);
+  // --- STORAGE (IndexedDB with batching and cross-tab sync, see storage/) ---
+  useEffect(() => {
+    let cancelled = false;
+    let store = null;
+    openAppStore({
+      onRemoteChange: ({ updated, deleted }) => setApps(prev => mergeRemoteChanges(prev, updated, deleted)),
+      onError: (e) => { console.error(e); post(null, { role: 'system', text: "Storage error: " + e.message }); }
+    }).then(async (opened) => {
+      store = opened;
+      const { apps: loaded, problems } = await opened.load();
+      if (cancelled) { opened.close(); return; }
+      storeRef.current = opened;
+      // Keep anything installed before storage finished loading (e.g. from a share link).
+      setApps(prev => [...loaded, ...prev.filter(a => !loaded.some(l => l.id === a.id))]);
+      setStorageReady(true);
+      if (problems.length) post(null, { role: 'system', text: problems.join('\n') });
+    }).catch(e => post(null, { role: 'system', text: "Storage unavailable: " + e.message }));
+    return () => { cancelled = true; if (store) store.close(); };
+  }, []);
+
+  useEffect(() => { if (storageReady) storeRef.current.save(apps); }, [apps, storageReady]);
+  useEffect(() => { messagesEndRef.current?.scrollIntoView({ behavior: prefersReducedMotion() ? "auto" : "smooth" }); }, [messages, loading, view]);
   
   useEffect(() => { 
     if (rateLimitTimer > 0) { 
@@ -97,253 +114,729 @@ export default function App() {
     } 
   }, [rateLimitTimer]);
 
-  // --- 2. THE TIMER HEARTBEAT ---
-  useEffect(() => {
-    const interval = setInterval(() => {
-      setApps(prevApps => prevApps.map(app => {
-        if (app.archetype === 'Regulator' && app.data.is_running) {
-          const timeKey = Object.keys(app.data).find(k => typeof app.data[k] === 'number');
-          
-          if (timeKey) {
-            if (app.data[timeKey] > 0) {
-              return { 
-                ...app, 
-                data: { ...app.data, [timeKey]: app.data[timeKey] - 1 } 
-              };
-            } else {
-              return { 
-                ...app, 
-                data: { ...app.data, is_running: false, finished: true } 
-              };
-            }
-          }
-        }
-        return app;
-      }));
-    }, 1000); 
+  // Files messages under an app id (null for the general thread).
+  const post = (appId, ...entries) => {
+    if (appId) setApps(prev => prev.map(app => app.id === appId ? { ...app, thread: appendToThread(app.thread, entries) } : app));
+    else setGeneralThread(prev => appendToThread(prev, entries));
+  };
 
-    return () => clearInterval(interval);
-  }, []);
+  useEffect(() => { saveGeneralThread(generalThread); }, [generalThread]);
 
-  const activeApp = apps.find(a => a.id === activeAppId);
+  // Threads with something in them, most recent first, for the thread picker.
+  const threadApps = apps
+    .filter(app => app.id === activeAppId || (!app.archived && app.thread && app.thread.length))
+    .sort((a, b) => lastActivity(b.thread) - lastActivity(a.thread));
+
+  // --- APP ACTIONS (pure reducer lives in engine/actions, journaling in engine/history) ---
+  const updateActiveApp = (update) => {
+    setApps(prevApps => prevApps.map(app => app.id === activeAppId ? update(app) : app));
+  };
 
-  // --- 3. THE "UNIVERSAL FIX" LOGIC (Solves the broken buttons) ---
+  // END_PERIOD (the Reset block's button) archives as well as resetting, which is more
+  // than app data, so it goes to engine/periods rather than the reducer. Other actions
+  // are tried on the app as shown first, so a badly wired button says why in its thread;
+  // the update itself (which may see newer data) just leaves the app alone if it fails.
   const handleAppAction = (actionType, payload) => {
     if (!activeApp) return;
+    if (actionType === 'END_PERIOD') return updateActiveApp(app => endPeriod(app));
+    try {
+      applyAction(activeApp.data, actionType, payload, { initialState: activeApp.initial_state });
+    } catch (e) {
+      if (!(e instanceof ActionError)) throw e;
+      post(activeApp.id, { role: 'system', text: `That didn't work: ${e.message}.` });
+      return;
+    }
+    updateActiveApp(app => {
+      try {
+        return recordAction(app, actionType, payload);
+      } catch (e) {
+        return app;
+      }
+    });
+  };
 
-    setApps(prevApps => prevApps.map(app => {
-      if (app.id !== activeAppId) return app;
+  useEffect(() => { setVersionsOpen(false); setShareOpen(false); setAlertsOpen(false); }, [activeAppId]);
 
-      let newData = { ...app.data };
+  const openApp = (id) => { setActiveAppId(id); setView('app'); };
 
-      // HELPER: FORCE CREATE KEY
-      // This solves the "Split Brain" bug. We do not search. We Create.
-      const ensureKey = (key, type) => {
-        const safeKey = key || 'items'; // Default to 'items' if undefined
-        if (newData[safeKey] === undefined) {
-           if (type === 'array') newData[safeKey] = [];
-           if (type === 'number') newData[safeKey] = 0;
-           if (type === 'boolean') newData[safeKey] = false;
-        }
-        return safeKey;
-      };
+  // --- ALERTS (Alert blocks are rules, see engine/rules) ---
+  // Rules are checked after every change to any app, open or not, and once a second
+  // while a timer runs in an app that has rules, because a countdown finishes on its own.
+  // A finished countdown keeps its started_at, so it has to be ruled out explicitly.
+  const ticking = (value) => isRunning(value) && !isFinished(value);
+  const needsClock = apps.some(app => !app.archived && hasAlerts(app) && Object.values(app.data || {}).some(ticking));
+  useEffect(() => {
+    if (!needsClock) return;
+    const t = setInterval(() => setClock(c => c + 1), 1000);
+    return () => clearInterval(t);
+  }, [needsClock]);
 
-      // >>> ACCUMULATOR LOGIC
-      if (actionType === 'INCREMENT_COUNT') {
-        const key = ensureKey(payload.key || 'count', 'number');
-        newData[key] = Number(newData[key]) + (payload.amount || 1);
-      }
+  const dismissToast = (id) => setToasts(prev => prev.filter(t => t.id !== id));
 
-      // >>> REGULATOR LOGIC
-      if (actionType === 'START_TIMER') { newData.is_running = true; newData.finished = false; }
-      if (actionType === 'STOP_TIMER') { newData.is_running = false; }
-      if (actionType === 'RESET_TIMER') {
-        newData.is_running = false; 
-        newData.finished = false;
-        const key = ensureKey(payload.key, 'number');
-        newData[key] = payload.initialValue || 0;
-      }
+  const fireAlert = (app, rule) => {
+    const prefs = alertPrefs(app);
+    if (prefs.toast) {
+      const id = `${app.id}:${rule.when}:${Date.now()}`;
+      setToasts(prev => [...prev, { id, appId: app.id, title: app.title, message: rule.message }].slice(-4));
+      setTimeout(() => dismissToast(id), 8000);
+    }
+    if (prefs.sound && rule.sound !== false) playChime();
+    // On screen the toast is enough; notifications are for when the tab is hidden.
+    if (prefs.notify && document.hidden) showNotification(app.title, rule.message, () => openApp(app.id));
+  };
 
-      // >>> CHECKLIST LOGIC
-      if (actionType === 'ADD_CHECKLIST_ITEM') {
-        const key = ensureKey(payload.key, 'array');
-        if (!Array.isArray(newData[key])) newData[key] = []; // Double safety
-        
-        newData[key] = [...newData[key], { 
-            label: payload.value || "New Item", 
-            checked: false,
-            id: Date.now() 
-        }];
-      }
+  useEffect(() => {
+    if (!storageReady) return;
+    const changed = {};
+    const fired = [];
+    apps.forEach(app => {
+      if (app.archived) return;
+      const result = checkRules(app, { seen: view === 'app' && app.id === activeAppId });
+      if (result.app !== app) changed[app.id] = result.app;
+      result.fired.forEach(rule => fired.push({ app, rule }));
+    });
+    if (Object.keys(changed).length) {
+      setApps(prev => prev.map(app => changed[app.id]
+        ? { ...app, alert_state: changed[app.id].alert_state, unseen_alerts: changed[app.id].unseen_alerts }
+        : app));
+    }
+    fired.forEach(({ app, rule }) => fireAlert(app, rule));
+  }, [apps, clock, storageReady]);
 
-      if (actionType === 'TOGGLE_CHECKLIST_ITEM') {
-        const key = ensureKey(payload.key, 'array');
-        if (Array.isArray(newData[key]) && newData[key][payload.index]) {
-          const updatedList = [...newData[key]];
-          updatedList[payload.index].checked = !updatedList[payload.index].checked;
-          newData[key] = updatedList;
-        }
-      }
+  // --- SCHEDULED RESETS (Reset blocks, see engine/periods) ---
+  // Caught up as soon as storage loads, then checked every minute while any app has a
+  // schedule and whenever the tab comes back, so a rollover that fell while the page was
+  // closed or asleep still happens, once, dated when it was due.
+  const needsPeriodClock = apps.some(hasSchedule);
+  useEffect(() => {
+    if (!needsPeriodClock) return;
+    const tick = () => setPeriodClock(c => c + 1);
+    const t = setInterval(tick, 60000);
+    document.addEventListener('visibilitychange', tick);
+    return () => { clearInterval(t); document.removeEventListener('visibilitychange', tick); };
+  }, [needsPeriodClock]);
 
-      if (actionType === 'DELETE_CHECKLIST_ITEM') {
-        const key = ensureKey(payload.key, 'array');
-        if (Array.isArray(newData[key])) {
-          const updatedList = [...newData[key]];
-          updatedList.splice(payload.index, 1);
-          newData[key] = updatedList;
-        }
-      }
+  useEffect(() => {
+    if (!storageReady) return;
+    const now = Date.now();
+    if (apps.some(app => rollOver(app, now) !== app)) setApps(prev => prev.map(app => rollOver(app, now)));
+  }, [apps, periodClock, storageReady]);
 
-      if (actionType === 'EDIT_CHECKLIST_ITEM') {
-        const key = ensureKey(payload.key, 'array');
-        if (Array.isArray(newData[key]) && newData[key][payload.index]) {
-          const updatedList = [...newData[key]];
-          updatedList[payload.index].label = payload.value;
-          newData[key] = updatedList;
-        }
-      }
+  // Opening an app clears its dock badge.
+  const unseenOnStage = view === 'app' && activeApp ? activeApp.unseen_alerts : 0;
+  useEffect(() => { if (unseenOnStage) updateActiveApp(markAlertsSeen); }, [unseenOnStage]);
+
+  const toggleAlertPref = async (pref) => {
+    const prefs = alertPrefs(activeApp);
+    // Notifications that are on but not yet allowed ask for permission instead of turning off.
+    const wantsPermission = pref === 'notify' && (!prefs.notify || notificationPermission() === 'default');
+    if (wantsPermission && (await requestNotifications()) !== 'granted') {
+      post(activeAppId, { role: 'system', text: "Notifications are blocked for this site. Allow them in your browser settings to get alerts while the tab is hidden." });
+      return;
+    }
+    const on = wantsPermission ? true : !prefs[pref];
+    updateActiveApp(app => ({ ...app, alert_prefs: { ...alertPrefs(app), [pref]: on } }));
+  };
+
+  // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y on the app stage. Text fields keep their
+  // own native undo. Off while a revision preview is up, like the toolbar buttons:
+  // the preview shows a migration of the data as it was.
+  const revisionPending = !!revision && revision.appId === activeAppId;
+  useEffect(() => {
+    if (view !== 'app' || !activeAppId || revisionPending) return;
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      const isRedo = (key === 'z' && e.shiftKey) || key === 'y';
+      if (key !== 'z' && !isRedo) return;
+      e.preventDefault();
+      setApps(prevApps => prevApps.map(app => app.id === activeAppId ? (isRedo ? redo(app) : undo(app)) : app));
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [view, activeAppId, revisionPending]);
+
+  // --- KEYBOARD & FOCUS ---
+  // All three views stay mounted and slide or fade, so the ones off screen are made inert
+  // (out of the Tab order and hidden from screen readers) and focus moves into the one
+  // that arrives: the message box, the tool's title, or the dock search.
+  const offscreen = (name) => view === name && !settingsOpen ? {} : { inert: '', 'aria-hidden': true };
+
+  useEffect(() => {
+    if (firstView.current) { firstView.current = false; return; }
+    const target = { chat: chatInputRef, app: stageTitleRef, dock: dockSearchRef }[view];
+    if (target && target.current) target.current.focus({ preventScroll: true });
+  }, [view]);
+
+  const openSettings = () => {
+    settingsReturnFocus.current = document.activeElement;
+    setSettingsProvider(providerSettings.provider); 
+    setSettingsOpen(true);
+  };
+  const closeSettings = () => {
+    setSettingsOpen(false);
+    if (settingsReturnFocus.current) settingsReturnFocus.current.focus();
+  };
 
-      return { ...app, data: newData };
+  // Escape closes whatever is on top: Settings, a stage menu, then the dock.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      if (settingsOpen) closeSettings();
+      else if (shareOpen || versionsOpen || alertsOpen) { setShareOpen(false); setVersionsOpen(false); setAlertsOpen(false); }
+      else if (view === 'dock') setView(activeApp ? 'app' : 'chat');
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  // Every tool becomes its own dock app. One tool opens straight away; with several the
+  // chat lists them and the user picks which to open first. The reply goes to the
+  // general thread, and each new app's own thread starts with the request that made it.
+  const installTools = (tools, text, notes, requestText) => {
+    const stamp = Date.now();
+    const newApps = tools.map((tool, i) => ({ 
+      id: stamp + i, 
+      title: tool.tool_name,
+      archetype: tool.archetype,
+      blueprint: tool.blueprint, 
+      initial_state: tool.initial_state || {},
+      data: tool.initial_state || {},
+      thread: appendToThread([], [{ role: 'user', text: requestText }, { role: 'model', text: `Created ${tool.tool_name}.` }])
     }));
+    setApps(prev => [...prev, ...newApps]); 
+    if (newApps.length === 1) {
+      setActiveAppId(newApps[0].id);
+      setView('app'); 
+      post(null, { role: 'model', text }, ...notes);
+    } else {
+      const summary = `${text}\n${newApps.map(app => `• ${app.title} (${app.archetype})`).join('\n')}\nWhich one first?`;
+      post(null, { role: 'model', text: summary, choices: newApps.map(app => ({ label: app.title, appId: app.id })) }, ...notes);
+    }
   };
 
-  const handleSend = async () => {
-    if (!input.trim() || !apiKey || rateLimitTimer > 0) return;
-    
-    const userText = input;
-    const newHistory = [...messages, { role: 'user', text: userText }];
-    setMessages(newHistory);
+  // --- REQUESTS (streaming, cancel, retries and cooldown; see ai/retry and ai/errors) ---
+  // A request is { id, text, appId, history, requeues? }: appId is the app that was open
+  // when it was sent (an edit), history the chat up to that point, requeues how often a
+  // rate limit has sent it back to the queue. While one runs or while cooling down after
+  // a rate limit, new ones wait in the queue and go out in order.
+  const handleSend = () => {
+    if (!input.trim()) return;
+    const request = { id: Date.now(), text: input, appId: activeApp ? activeApp.id : null, history: messages };
+    post(request.appId, { role: 'user', text: input });
     setInput('');
     setIsInputExpanded(false); 
+    if (loading || rateLimitTimer > 0) setQueue(prev => [...prev, request]);
+    else runRequest(request);
+  };
+
+  useEffect(() => {
+    if (loading || rateLimitTimer > 0 || queue.length === 0) return;
+    const [next, ...rest] = queue;
+    setQueue(rest);
+    runRequest(next);
+  }, [queue, loading, rateLimitTimer]);
+
+  const cancelRequest = () => { if (abortRef.current) abortRef.current.abort(); };
+
+  const runRequest = async (request) => {
+    const { text: userText, appId, history } = request;
+    // With an app open, this is an edit: the model sees the app and answers with a patch.
+    const editing = appId ? apps.find(a => a.id === appId) : null;
+    if (appId && !editing) {
+      post(null, { role: 'system', text: `Skipped "${userText}": that tool was deleted.` });
+      return;
+    }
+    const ready = isProviderReady(providerSettings);
+
+    // Simple, specific requests are built from the local template library (see
+    // templates/); the model gets everything else when there is one. Offline, any
+    // matching template beats having nothing.
+    if (!editing) {
+      const instant = instantTool(userText);
+      if (instant && (instant.simple || !ready)) {
+        installTools([instant.tool], `Created ${instant.tool.tool_name} from the ${instant.template.name.toLowerCase()} template.`, [], userText);
+        return;
+      }
+    }
+    if (!ready) {
+      post(appId, { 
+        role: 'model', 
+        text: editing 
+          ? "Changing a tool needs a model. Add an API key in Settings (top right of the chat)." 
+          : `That needs a model. Offline I can make a ${describeTemplates()}, e.g. "timer for laundry 45 min" or "packing list: passport, charger, socks". Add an API key in Settings for anything else.`
+      });
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
     setLoading(true);
+    setProgress('');
+    const generation = editing
+      ? { 
+          systemPrompt: SYSTEM_PROMPT + EDIT_INSTRUCTIONS, 
+          prompt: buildEditPrompt(editing, history, userText), 
+          schema: 'patch', 
+          toTools: (patch) => [patchToTool(editing, patch)] 
+        }
+      : { systemPrompt: SYSTEM_PROMPT, prompt: userText };
 
     try {
-      const genAI = new GoogleGenerativeAI(apiKey);
-      const model = genAI.getGenerativeModel({ 
-        model: GEMINI_MODEL_VERSION,
-        generationConfig: { 
-          responseMimeType: "application/json", 
-          responseSchema: RESPONSE_SCHEMA 
-        } 
+      const { response: responseData, warnings } = await generateTools(providerSettings, {
+        ...generation,
+        signal: controller.signal,
+        onProgress: (text, round) => setProgress(`${round > 0 ? 'Fixing: ' : ''}${describeProgress(text)}`),
+        onRetry: ({ attempt, delayMs, error }) => setProgress(
+          `${error.kind === 'quota' ? 'Rate limited' : 'Connection trouble'}, retrying in ${Math.ceil(delayMs / 1000)}s (${attempt}/${MAX_RETRIES})`
+        )
       });
+      const repairNote = warnings.length ? [{ role: 'system', text: `Auto-repaired ${warnings.length} issue(s):\n${warnings.join('\n')}` }] : [];
 
-      const chat = model.startChat({ 
-        history: [{ role: "user", parts: [{ text: SYSTEM_PROMPT }] }] 
-      });
-      
-      const result = await chat.sendMessage(userText);
-      const responseText = result.response.text();
-      const responseData = JSON.parse(responseText);
-
-      if (responseData.tool_name && responseData.blueprint) {
-        const newApp = { 
-          id: activeAppId || Date.now(), 
-          title: responseData.tool_name,
-          archetype: responseData.archetype,
-          blueprint: responseData.blueprint, 
-          data: responseData.initial_state || {} 
-        };
-
-        if (activeAppId) setApps(prev => prev.map(a => a.id === activeAppId ? newApp : a));
-        else { setApps(prev => [...prev, newApp]); setActiveAppId(newApp.id); }
-        
-        setView('app'); 
-        setMessages(prev => [...prev, { role: 'model', text: responseData.message || `Created ${responseData.tool_name}.` }]);
+      const tools = responseData.tools;
+      if (tools.length && editing) {
+        setRevision({ appId: editing.id, tool: tools[0] });
+        setActiveAppId(editing.id);
+        setView('app');
+        post(appId, 
+          { role: 'model', text: `${responseData.message || `Revised ${tools[0].tool_name}.`} Review the preview to accept or reject it.` },
+          ...repairNote
+        );
+      } else if (tools.length) {
+        installTools(tools, responseData.message || `Created ${tools.map(t => t.tool_name).join(' and ')}.`, repairNote, userText);
       } else if (responseData.message) {
-        setMessages(prev => [...prev, { role: 'model', text: responseData.message }]);
+        post(appId, { role: 'model', text: responseData.message });
       }
     } catch (e) {
-      if (e.message.includes('429')) setRateLimitTimer(30);
-      setMessages(prev => [...prev, { role: 'system', text: "Error: " + e.message }]);
-      console.error(e);
+      if (e.kind !== 'cancelled') console.error(e);
+      // Rate limited for longer than retries could wait out: cool down, then resend, up
+      // to MAX_REQUEUES times.
+      const requeues = (request.requeues || 0) + 1;
+      const queued = e.kind === 'quota' && requeues <= MAX_REQUEUES;
+      if (e.kind === 'quota') setRateLimitTimer(Math.ceil((e.retryAfterMs || DEFAULT_COOLDOWN_MS) / 1000));
+      if (queued) setQueue(prev => [{ ...request, requeues }, ...prev]);
+      post(appId, { 
+        role: e.kind === 'cancelled' ? 'model' : 'system', 
+        text: describeError(e, { providerLabel: getProvider(providerSettings.provider).label, queued }) 
+      });
     }
+    abortRef.current = null;
     setLoading(false);
+    setProgress('');
+  };
+
+  // --- REVISIONS (edit mode) ---
+  // The preview runs on a migrated copy of the data; the real migration happens on accept.
+  const pendingRevision = revision && activeApp && revision.appId === activeApp.id ? revision : null;
+  const revisionPreview = pendingRevision ? migrateState(activeApp.data, pendingRevision.tool.initial_state, activeApp.initial_state) : null;
+
+  const acceptRevision = () => {
+    const { appId, tool } = revision;
+    setApps(prev => prev.map(app => app.id !== appId ? app : reviseApp(app, {
+      title: tool.tool_name,
+      archetype: tool.archetype,
+      blueprint: tool.blueprint,
+      initial_state: tool.initial_state,
+      data: migrateState(app.data, tool.initial_state, app.initial_state).data
+    })));
+    setRevision(null);
+    post(appId, { role: 'model', text: `Applied changes to ${tool.tool_name}.` });
+  };
+
+  const rejectRevision = () => {
+    post(revision.appId, { role: 'model', text: "Discarded the proposed changes." });
+    setRevision(null);
+  };
+
+  const restorePreviousVersion = (index) => {
+    updateActiveApp(app => restoreVersion(app, index));
+    setVersionsOpen(false);
+  };
+
+  // --- IMPORT / EXPORT (format in engine/portable) ---
+  const installImported = ({ apps: imported, problems }, source) => {
+    if (imported.length) {
+      setApps(prev => [...prev, ...imported]);
+      setActiveAppId(imported[0].id);
+    }
+    post(null,
+      ...(imported.length ? [{ role: 'model', text: `Imported ${imported.map(a => a.title).join(', ')} from ${source}.` }] : []),
+      ...(problems.length ? [{ role: 'system', text: `Skipped while importing:\n${problems.join('\n')}` }] : [])
+    );
+    return imported.length > 0;
+  };
+
+  const downloadJson = (doc, filename) => {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const fileSlug = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tool';
+
+  const exportActiveApp = () => {
+    downloadJson(exportApps([activeApp]), `${fileSlug(activeApp.title)}.fluid.json`);
+    setShareOpen(false);
+  };
+
+  const exportDock = () => downloadJson(exportApps(apps), `fluid-os-tools-${new Date().toISOString().slice(0, 10)}.json`);
+
+  const copyShareLink = async () => {
+    setShareOpen(false);
+    try {
+      // Links share the tool, not the sender's data.
+      const url = await encodeShareLink(exportApps([activeApp], { includeData: false }));
+      await navigator.clipboard.writeText(url);
+      post(activeApp.id, { role: 'model', text: `Share link for ${activeApp.title} copied to the clipboard.` });
+    } catch (e) {
+      post(activeApp.id, { role: 'system', text: "Error: could not copy the share link (" + e.message + ")" });
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      if (installImported(importTools(parseToolFile(await file.text())), file.name)) setView('app');
+      else {
+        setActiveAppId(null);
+        setView('chat');
+      }
+    } catch (err) {
+      post(null, { role: 'system', text: "Import failed: " + err.message });
+      setActiveAppId(null);
+      setView('chat');
+    }
+  };
+
+  // Opening a share link installs its tool once, then drops the fragment so a reload
+  // doesn't install it again.
+  useEffect(() => {
+    if (sharedLinkHandled.current || !window.location.hash.startsWith(LINK_PREFIX)) return;
+    sharedLinkHandled.current = true;
+    const fragment = window.location.hash;
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    decodeShareLink(fragment)
+      .then(doc => { if (installImported(importTools(doc), 'a shared link')) setView('app'); })
+      .catch(err => post(null, { role: 'system', text: "Import failed: " + err.message }));
+  }, []);
+
+  const saveSettings = (e) => {
+    e.preventDefault();
+    const f = e.target.elements;
+    const def = getProvider(f.provider.value);
+    const next = { 
+      provider: f.provider.value, 
+      model: def.usesModel === false ? '' : f.model.value.trim(), 
+      apiKey: def.usesApiKey === false ? '' : f.key.value.trim(), 
+      baseUrl: f.baseUrl ? f.baseUrl.value.trim() : '' 
+    };
+    saveProviderSettings(next);
+    setProviderSettings(next);
+    closeSettings();
+  };
+  const settingsProviderDef = getProvider(settingsProvider);
+
+  // --- DOCK (tile previews, ordering and archive helpers in engine/dock) ---
+  const updateApp = (id, update) => setApps(prev => prev.map(app => app.id === id ? update(app) : app));
+  const duplicate = (id) => setApps(prev => {
+    const index = prev.findIndex(a => a.id === id);
+    return [...prev.slice(0, index + 1), duplicateApp(prev[index]), ...prev.slice(index + 1)];
+  });
+  const archiveApp = (id) => {
+    updateApp(id, app => ({ ...app, archived: true, pinned: false }));
+    if (activeAppId === id) setActiveAppId(null);
   };
+  const deleteApp = (id) => { setApps(prev => prev.filter(a => a.id !== id)); if (activeAppId === id) setActiveAppId(null); };
+  const archivedCount = apps.filter(a => a.archived).length;
+  const shownApps = dockApps(apps, { query: dockQuery, archived: showArchived });
 
-  const saveKey = (e) => { e.preventDefault(); const key = e.target.elements.key.value; localStorage.setItem('gemini_key', key); setApiKey(key); setSettingsOpen(false); };
-  const deleteApp = (id, e) => { e.stopPropagation(); setApps(prev => prev.filter(a => a.id !== id)); if (activeAppId === id) setActiveAppId(null); };
+  // Drag (or Alt+Arrow on a tile) to reorder; off while searching, where neighbours on
+  // screen aren't neighbours in the dock.
+  const dragFor = (app) => dockQuery || showArchived ? null : {
+    over: dragOverId === app.id && dragId !== app.id,
+    move: (delta) => {
+      const neighbour = shownApps[shownApps.findIndex(a => a.id === app.id) + delta];
+      if (neighbour) setApps(prev => moveApp(prev, app.id, neighbour.id));
+    },
+    handlers: {
+      onDragStart: (e) => { setDragId(app.id); e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', String(app.id)); },
+      onDragOver: (e) => { if (dragId === null) return; e.preventDefault(); setDragOverId(app.id); },
+      onDragLeave: () => setDragOverId(null),
+      onDrop: (e) => { e.preventDefault(); setApps(prev => moveApp(prev, dragId, app.id)); setDragId(null); setDragOverId(null); },
+      onDragEnd: () => { setDragId(null); setDragOverId(null); }
+    }
+  };
 
   return (
     <div className="flex h-screen bg-slate-50 font-sans overflow-hidden relative">
       
       {/* VIEW 1: CHAT */}
-      <div className={`absolute inset-0 flex flex-col bg-white transition-transform duration-300 ${view === 'chat' ? 'translate-x-0' : '-translate-x-full'}`}>
+      <div {...offscreen('chat')} className={`absolute inset-0 flex flex-col bg-white transition-transform duration-300 motion-reduce:transition-none ${view === 'chat' ? 'translate-x-0' : '-translate-x-full'}`}>
         <div className="p-4 border-b flex justify-between bg-white z-10 shadow-sm">
-          <span className="font-bold text-slate-800 flex items-center gap-2"><Activity size={20} className="text-blue-600"/> Neural OS</span>
-          <button onClick={() => setSettingsOpen(true)}><Settings size={20} className="text-slate-400"/></button>
+          <h1 className="font-bold text-slate-800 flex items-center gap-2"><Activity size={20} className="text-blue-600" aria-hidden="true"/> Neural OS</h1>
+          <div className="flex items-center gap-3 min-w-0">
+            <select 
+              value={activeApp ? activeApp.id : ''} 
+              onChange={(e) => setActiveAppId(e.target.value ? Number(e.target.value) : null)} 
+              title="Conversation" 
+              aria-label="Conversation"
+              className="text-sm bg-slate-100 rounded-lg px-2 py-1 text-slate-600 max-w-[12rem] truncate focus:outline-none"
+            >
+              <option value="">New tools</option>
+              {threadApps.map(app => <option key={app.id} value={app.id}>{app.title}</option>)}
+            </select>
+            {activeApp && <button onClick={() => setActiveAppId(null)} title="Back to the general thread to make a new tool" aria-label="New tool" className="text-slate-400 hover:text-blue-600"><Plus size={20} aria-hidden="true"/></button>}
+            <button onClick={openSettings} aria-label="Settings"><Settings size={20} className="text-slate-400" aria-hidden="true"/></button>
+          </div>
         </div>
-        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        <div role="log" aria-live="polite" aria-label="Conversation" className="flex-1 overflow-y-auto p-4 space-y-4">
+          <div className="p-3 rounded-xl max-w-[85%] whitespace-pre-wrap bg-slate-100 text-slate-800">{greeting}</div>
           {messages.map((m, i) => (
-            <div key={i} className={`p-3 rounded-xl max-w-[85%] whitespace-pre-wrap ${m.role === 'user' ? 'bg-blue-600 text-white self-end ml-auto' : m.role === 'system' ? 'text-xs text-red-400 text-center' : 'bg-slate-100 text-slate-800'}`}>{m.text}</div>
+            <div key={i} className={`p-3 rounded-xl max-w-[85%] whitespace-pre-wrap ${m.role === 'user' ? 'bg-blue-600 text-white self-end ml-auto' : m.role === 'system' ? 'text-xs text-red-400 text-center' : 'bg-slate-100 text-slate-800'}`}>
+              {m.text}
+              {m.choices && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {m.choices.filter(c => apps.some(a => a.id === c.appId)).map(c => (
+                    <button key={c.appId} onClick={() => openApp(c.appId)} className="bg-white border border-slate-200 hover:border-blue-500 hover:text-blue-600 px-3 py-1.5 rounded-full text-sm font-medium transition-colors">Open {c.label}</button>
+                  ))}
+                </div>
+              )}
+            </div>
           ))}
+          {loading && (
+            <div className="p-3 rounded-xl max-w-[85%] bg-slate-50 border border-slate-100 text-slate-500 text-sm flex items-center gap-3">
+              <Loader2 size={16} className="motion-safe:animate-spin shrink-0" aria-hidden="true"/>
+              <span className="flex-1 min-w-0 truncate">Thinking...{progress && ` ${progress}`}</span>
+              <button onClick={cancelRequest} className="text-xs font-bold text-slate-400 hover:text-red-500 shrink-0">Cancel</button>
+            </div>
+          )}
           <div ref={messagesEndRef} />
         </div>
         
-        {rateLimitTimer > 0 && <div className="bg-orange-50 text-orange-600 text-xs p-2 text-center flex items-center justify-center gap-2 animate-pulse"><AlertTriangle size={14}/> Cooling down: {rateLimitTimer}s</div>}
+        {rateLimitTimer > 0 && <div className="bg-orange-50 text-orange-600 text-xs p-2 text-center flex items-center justify-center gap-2 motion-safe:animate-pulse"><AlertTriangle size={14} aria-hidden="true"/> Cooling down: {rateLimitTimer}s{queue.length > 0 && ` · ${queue.length} queued`}</div>}
+
+        {queue.length > 0 && (
+          <div className="px-3 pt-2 flex flex-wrap gap-2">
+            {queue.map(q => (
+              <span key={q.id} className="bg-slate-100 text-slate-500 text-xs rounded-full pl-3 pr-1 py-1 flex items-center gap-1 max-w-full">
+                <span className="truncate">Queued: {q.text}</span>
+                <button onClick={() => setQueue(prev => prev.filter(x => x.id !== q.id))} title="Remove from queue" aria-label={`Remove "${q.text}" from the queue`} className="p-0.5 hover:text-red-500"><X size={12} aria-hidden="true"/></button>
+              </span>
+            ))}
+          </div>
+        )}
 
         <div className="p-3 border-t bg-white flex items-end gap-2">
-          <button onClick={() => setView('app')} className="p-3 mb-1 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded-full transition-colors flex-shrink-0"><Smartphone size={24} /></button>
+          <button onClick={() => setView('app')} aria-label={activeApp ? `Show ${activeApp.title}` : 'Show the tool'} className="p-3 mb-1 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded-full transition-colors flex-shrink-0"><Smartphone size={24} aria-hidden="true" /></button>
           <div className="flex-1 bg-slate-100 rounded-2xl relative border border-transparent focus-within:border-blue-500 focus-within:ring-2 focus-within:ring-blue-500/20 transition-all overflow-hidden">
             <textarea 
+              ref={chatInputRef}
+              aria-label={activeApp ? `Ask for changes to ${activeApp.title}` : 'Ask for a tool'}
               className="w-full bg-transparent px-4 py-3 focus:outline-none resize-none text-slate-700 placeholder-slate-400" 
-              placeholder="Ask for a tool (e.g., 'Timer for laundry')..." 
-              value={input} onChange={(e) => setInput(e.target.value)} disabled={rateLimitTimer > 0}
+              placeholder={activeApp ? `Ask for changes to ${activeApp.title}...` : "Ask for a tool (e.g., 'Timer for laundry')..."} 
+              value={input} onChange={(e) => setInput(e.target.value)}
               rows={isInputExpanded ? 6 : 1}
               style={{ minHeight: isInputExpanded ? '140px' : '48px', paddingRight: '40px' }}
             />
-            <button onClick={() => setIsInputExpanded(!isInputExpanded)} className="absolute right-3 top-3 text-slate-400 hover:text-slate-600 transition-colors bg-white/50 rounded p-1">
-              {isInputExpanded ? <Minimize2 size={16} /> : <Maximize2 size={16} />}
+            <button onClick={() => setIsInputExpanded(!isInputExpanded)} aria-label="Larger message box" aria-pressed={isInputExpanded} className="absolute right-3 top-3 text-slate-400 hover:text-slate-600 transition-colors bg-white/50 rounded p-1">
+              {isInputExpanded ? <Minimize2 size={16} aria-hidden="true" /> : <Maximize2 size={16} aria-hidden="true" />}
             </button>
           </div>
-          <button onClick={() => handleSend()} disabled={rateLimitTimer > 0 || !input.trim()} className="bg-blue-600 text-white p-3 mb-1 rounded-full shadow-lg disabled:bg-slate-300 disabled:shadow-none transition-all flex-shrink-0 active:scale-95"><Send size={20}/></button>
+          <button onClick={() => handleSend()} disabled={!input.trim()} title={loading || rateLimitTimer > 0 ? "Queue request" : "Send"} aria-label={loading || rateLimitTimer > 0 ? "Queue request" : "Send"} className="bg-blue-600 text-white p-3 mb-1 rounded-full shadow-lg disabled:bg-slate-300 disabled:shadow-none transition-all flex-shrink-0 motion-safe:active:scale-95"><Send size={20} aria-hidden="true"/></button>
         </div>
       </div>
 
       {/* VIEW 2: APP STAGE */}
-      <div className={`absolute inset-0 flex flex-col bg-slate-100 transition-transform duration-300 ${view === 'app' ? 'translate-x-0' : 'translate-x-full'}`}>
+      <div {...offscreen('app')} className={`absolute inset-0 flex flex-col bg-slate-100 transition-transform duration-300 motion-reduce:transition-none ${view === 'app' ? 'translate-x-0' : 'translate-x-full'}`}>
         <div className="p-4 border-b bg-white z-10 shadow-sm flex justify-between items-center">
-          <span className="font-bold text-slate-800 flex items-center gap-2"><Smartphone size={20} className="text-green-600"/> {activeApp ? activeApp.title : "No App"}</span>
-          <button onClick={() => setView('dock')} className="p-2 hover:bg-slate-100 rounded-full text-blue-600"><Grid size={24} /></button>
+          <h1 ref={stageTitleRef} tabIndex={-1} className="font-bold text-slate-800 flex items-center gap-2 focus:outline-none"><Smartphone size={20} className="text-green-600" aria-hidden="true"/> {activeApp ? activeApp.title : "No App"}</h1>
+          <div className="flex items-center gap-1">
+            {activeApp && (
+              <>
+                <button onClick={() => updateActiveApp(undo)} disabled={!canUndo(activeApp) || !!pendingRevision} title="Undo (Ctrl+Z)" aria-label="Undo" aria-keyshortcuts="Control+Z" className="p-2 hover:bg-slate-100 rounded-full text-slate-500 disabled:text-slate-200"><Undo2 size={20} aria-hidden="true" /></button>
+                <button onClick={() => updateActiveApp(redo)} disabled={!canRedo(activeApp) || !!pendingRevision} title="Redo (Ctrl+Shift+Z)" aria-label="Redo" aria-keyshortcuts="Control+Shift+Z" className="p-2 hover:bg-slate-100 rounded-full text-slate-500 disabled:text-slate-200"><Redo2 size={20} aria-hidden="true" /></button>
+                {hasAlerts(activeApp) && (
+                  <button onClick={() => setAlertsOpen(!alertsOpen)} title="Alerts" aria-label="Alerts" aria-expanded={alertsOpen} className="p-2 hover:bg-slate-100 rounded-full text-slate-500"><Bell size={20} aria-hidden="true" /></button>
+                )}
+                <button onClick={() => setShareOpen(!shareOpen)} title="Share or export" aria-label="Share or export" aria-expanded={shareOpen} className="p-2 hover:bg-slate-100 rounded-full text-slate-500"><Share2 size={20} aria-hidden="true" /></button>
+                {activeApp.versions && activeApp.versions.length > 0 && (
+                  <button onClick={() => setVersionsOpen(!versionsOpen)} title="Previous versions" aria-label="Previous versions" aria-expanded={versionsOpen} className="p-2 hover:bg-slate-100 rounded-full text-slate-500"><History size={20} aria-hidden="true" /></button>
+                )}
+              </>
+            )}
+            <button onClick={() => setView('dock')} title="All tools" aria-label="All tools" className="p-2 hover:bg-slate-100 rounded-full text-blue-600"><Grid size={24} aria-hidden="true" /></button>
+          </div>
         </div>
+
+        {shareOpen && activeApp && (
+          <div className="absolute top-16 right-4 z-40 bg-white rounded-2xl shadow-xl border border-slate-100 w-64 overflow-hidden">
+            <button onClick={exportActiveApp} className="w-full text-left px-4 py-3 hover:bg-slate-50 flex items-center gap-3 text-slate-700"><Download size={18} className="text-slate-400" aria-hidden="true"/> Download tool file</button>
+            <button onClick={copyShareLink} className="w-full text-left px-4 py-3 hover:bg-slate-50 flex items-center gap-3 text-slate-700"><Link size={18} className="text-slate-400" aria-hidden="true"/> Copy share link</button>
+          </div>
+        )}
+
+        {alertsOpen && activeApp && (
+          <div className="absolute top-16 right-4 z-40 bg-white rounded-2xl shadow-xl border border-slate-100 w-72 overflow-hidden">
+            <div className="px-4 py-3 text-xs font-bold text-slate-400 uppercase tracking-widest border-b border-slate-50">When an alert fires</div>
+            {[
+              ['toast', 'Show a message'],
+              ['sound', 'Play a chime'],
+              ['notify', notificationPermission() === 'granted' ? 'Notify when the tab is hidden' : 'Notify when hidden (tap to allow)']
+            ].map(([pref, label]) => (
+              <button key={pref} onClick={() => toggleAlertPref(pref)} aria-pressed={alertPrefs(activeApp)[pref]} className="w-full text-left px-4 py-3 hover:bg-slate-50 flex items-center justify-between gap-3 text-slate-700">
+                <span>{label}</span>
+                <span className={`w-5 h-5 rounded-md border flex items-center justify-center ${alertPrefs(activeApp)[pref] ? 'bg-slate-900 border-slate-900 text-white' : 'border-slate-300'}`}>{alertPrefs(activeApp)[pref] && <Check size={14} aria-hidden="true"/>}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {versionsOpen && activeApp && activeApp.versions && (
+          <div className="absolute top-16 right-4 z-40 bg-white rounded-2xl shadow-xl border border-slate-100 w-72 overflow-hidden">
+            <div className="px-4 py-3 text-xs font-bold text-slate-400 uppercase tracking-widest border-b border-slate-50">Restore previous version</div>
+            {[...activeApp.versions].reverse().map((version, i) => {
+              const index = activeApp.versions.length - 1 - i;
+              return (
+                <button key={version.at + '-' + index} onClick={() => restorePreviousVersion(index)} className="w-full text-left px-4 py-3 hover:bg-slate-50 flex justify-between gap-2">
+                  <span className="font-medium text-slate-700 truncate">{version.title}</span>
+                  <span className="text-xs text-slate-400 shrink-0">{new Date(version.at).toLocaleString()}</span>
+                </button>
+              );
+            })}
+          </div>
+        )}
         
         <div className="flex-1 p-6 overflow-y-auto block relative pb-24">
-          {loading && <div className="absolute top-4 left-1/2 -translate-x-1/2 bg-black/80 text-white px-4 py-2 rounded-full text-xs font-medium z-50 flex items-center gap-2 shadow-xl"><Loader2 size={14} className="animate-spin"/> Thinking...</div>}
+          {loading && (
+            <div role="status" className="absolute top-4 left-1/2 -translate-x-1/2 bg-black/80 text-white pl-4 pr-2 py-2 rounded-full text-xs font-medium z-50 flex items-center gap-2 shadow-xl max-w-[90%]">
+              <Loader2 size={14} className="motion-safe:animate-spin shrink-0" aria-hidden="true"/>
+              <span className="truncate">Thinking...{progress && ` ${progress}`}</span>
+              <button onClick={cancelRequest} className="bg-white/20 hover:bg-white/30 rounded-full px-2 py-0.5 shrink-0">Cancel</button>
+            </div>
+          )}
           
+          {pendingRevision && (
+            <div className="w-full max-w-md mx-auto px-4 mb-4">
+              <div className="bg-amber-50 border border-amber-200 rounded-2xl p-4 text-sm text-amber-900">
+                <div className="font-bold mb-1">Preview: {pendingRevision.tool.tool_name}</div>
+                {pendingRevision.tool.message && <div className="mb-2">{pendingRevision.tool.message}</div>}
+                {revisionPreview.reset.length > 0 && <div className="text-xs mb-2">Resets: {revisionPreview.reset.join(', ')}</div>}
+                {revisionPreview.dropped.length > 0 && <div className="text-xs mb-2">Removes: {revisionPreview.dropped.join(', ')}</div>}
+                <div className="flex gap-2 mt-3">
+                  <button onClick={acceptRevision} className="flex-1 bg-slate-900 text-white py-2 rounded-xl font-bold flex items-center justify-center gap-2"><Check size={16} aria-hidden="true"/> Accept</button>
+                  <button onClick={rejectRevision} className="flex-1 bg-white border border-amber-200 py-2 rounded-xl font-bold flex items-center justify-center gap-2"><X size={16} aria-hidden="true"/> Reject</button>
+                </div>
+              </div>
+            </div>
+          )}
+
           {activeApp && (
-            <div className="w-full mx-auto">
+            <div {...(pendingRevision ? { inert: '' } : {})} className={`w-full mx-auto ${pendingRevision ? 'pointer-events-none opacity-90' : ''}`}>
               <A2UIRenderer 
-                blueprint={activeApp.blueprint} 
-                data={activeApp.data} 
-                onAction={handleAppAction} 
+                blueprint={pendingRevision ? pendingRevision.tool.blueprint : activeApp.blueprint} 
+                data={pendingRevision ? revisionPreview.data : activeApp.data} 
+                series={activeApp.series} 
+                periods={activeApp.periods}
+                onAction={pendingRevision ? () => {} : handleAppAction} 
               />
             </div>
           )}
         </div>
 
         <div className="absolute bottom-6 left-6 z-30">
-          <button onClick={() => setView('chat')} className="bg-slate-900 text-white p-4 rounded-full shadow-2xl hover:scale-110 transition-transform active:scale-95 flex items-center gap-2"><MessageSquare size={20} /></button>
+          <button onClick={() => setView('chat')} title={`Conversation for ${activeApp ? activeApp.title : 'new tools'}`} aria-label={`Conversation for ${activeApp ? activeApp.title : 'new tools'}, ${messages.length} messages`} className="bg-slate-900 text-white p-4 rounded-full shadow-2xl motion-safe:hover:scale-110 transition-transform motion-safe:active:scale-95 flex items-center gap-2">
+            <MessageSquare size={20} aria-hidden="true" />
+            {messages.length > 0 && <span aria-hidden="true" className="text-xs font-bold pr-1">{messages.length}</span>}
+          </button>
         </div>
       </div>
 
       {/* VIEW 3: DOCK */}
-      <div className={`absolute inset-0 bg-slate-800/90 backdrop-blur-md z-40 transition-opacity duration-300 ${view === 'dock' ? 'opacity-100 pointer-events-auto' : 'opacity-0 pointer-events-none'}`}>
+      <div {...offscreen('dock')} role="region" aria-label="Tools" className={`absolute inset-0 bg-slate-800/90 backdrop-blur-md z-40 transition-opacity duration-300 motion-reduce:transition-none ${view === 'dock' ? 'opacity-100 pointer-events-auto' : 'opacity-0 pointer-events-none'}`}>
         <div className="p-6 h-full flex flex-col">
-          <div className="flex justify-between items-center text-white mb-8"><h2 className="text-2xl font-bold">Tools</h2><button onClick={() => setView(activeApp ? 'app' : 'chat')}><X size={28}/></button></div>
+          <div className="flex justify-between items-center text-white mb-4">
+            <h2 className="text-2xl font-bold">{showArchived ? 'Archived' : 'Tools'}</h2>
+            <div className="flex items-center gap-4">
+              <button onClick={() => importInputRef.current.click()} title="Import tools from a file" aria-label="Import tools from a file" className="text-white/70 hover:text-white"><Upload size={22} aria-hidden="true"/></button>
+              <button onClick={exportDock} disabled={apps.length === 0} title="Export all tools" aria-label="Export all tools" className="text-white/70 hover:text-white disabled:text-white/20"><Download size={22} aria-hidden="true"/></button>
+              <button onClick={() => setView(activeApp ? 'app' : 'chat')} aria-label="Close"><X size={28} aria-hidden="true"/></button>
+            </div>
+            <input ref={importInputRef} type="file" accept="application/json,.json" onChange={handleImportFile} className="hidden" />
+          </div>
+          <div className="flex items-center gap-2 mb-6">
+            <div className="flex-1 flex items-center gap-2 bg-white/10 rounded-xl px-3 py-2 text-white focus-within:bg-white/20">
+              <Search size={16} className="text-white/50 shrink-0" aria-hidden="true"/>
+              <input ref={dockSearchRef} aria-label="Search tools" value={dockQuery} onChange={(e) => setDockQuery(e.target.value)} placeholder="Search by name or type" className="bg-transparent flex-1 min-w-0 focus:outline-none placeholder-white/40" />
+              {dockQuery && <button onClick={() => setDockQuery('')} aria-label="Clear search" className="text-white/50 hover:text-white"><X size={14} aria-hidden="true"/></button>}
+            </div>
+            {(archivedCount > 0 || showArchived) && (
+              <button onClick={() => setShowArchived(!showArchived)} title={showArchived ? 'Back to tools' : 'Show archived tools'} aria-label={showArchived ? 'Back to tools' : `Show archived tools (${archivedCount})`} aria-pressed={showArchived} className={`rounded-xl px-3 py-2 text-sm font-medium flex items-center gap-2 ${showArchived ? 'bg-white text-slate-800' : 'bg-white/10 text-white/70 hover:text-white'}`}>
+                <Archive size={16} aria-hidden="true"/> {archivedCount}
+              </button>
+            )}
+          </div>
           <div className="grid grid-cols-2 gap-4 overflow-y-auto pb-20">
-            <button onClick={() => { setActiveAppId(null); setView('chat'); }} className="bg-white/10 hover:bg-white/20 border-2 border-dashed border-white/30 rounded-2xl p-6 flex flex-col items-center justify-center gap-3 text-white transition"><div className="bg-blue-600 p-3 rounded-full"><Plus size={24}/></div><span className="font-medium">New Tool</span></button>
-            {apps.map(app => (
-              <div key={app.id} onClick={() => { setActiveAppId(app.id); setView('app'); }} className="bg-white p-6 rounded-2xl shadow-lg relative cursor-pointer hover:scale-105 transition-transform group">
-                <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-xl mb-3 shadow-md flex items-center justify-center text-white font-bold text-xl">{app.title[0]}</div>
-                <h3 className="font-bold text-slate-800 truncate">{app.title}</h3>
-                <p className="text-xs text-slate-400 mt-1 uppercase tracking-wide">{app.archetype}</p>
-                <button onClick={(e) => deleteApp(app.id, e)} className="absolute top-3 right-3 text-slate-300 hover:text-red-500"><Trash2 size={18}/></button>
-              </div>
+            {!showArchived && !dockQuery && (
+              <button onClick={() => { setActiveAppId(null); setView('chat'); }} className="bg-white/10 hover:bg-white/20 border-2 border-dashed border-white/30 rounded-2xl p-6 flex flex-col items-center justify-center gap-3 text-white transition"><div className="bg-blue-600 p-3 rounded-full"><Plus size={24} aria-hidden="true"/></div><span className="font-medium">New Tool</span></button>
+            )}
+            {shownApps.map(app => (
+              <DockTile 
+                key={app.id} 
+                app={app}
+                drag={dragFor(app)}
+                onOpen={() => openApp(app.id)}
+                onPin={() => updateApp(app.id, a => ({ ...a, pinned: !a.pinned }))}
+                onRename={(title) => updateApp(app.id, a => ({ ...a, title }))}
+                onDuplicate={() => duplicate(app.id)}
+                onArchive={() => archiveApp(app.id)}
+                onRestore={() => updateApp(app.id, a => ({ ...a, archived: false }))}
+                onDelete={() => deleteApp(app.id)}
+              />
             ))}
+            {shownApps.length === 0 && (dockQuery || showArchived) && (
+              <div className="col-span-2 text-center text-white/50 py-12">{dockQuery ? `No tools match "${dockQuery}".` : 'Nothing archived.'}</div>
+            )}
           </div>
         </div>
       </div>
 
-      {settingsOpen && <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50"><form onSubmit={saveKey} className="bg-white p-6 rounded-2xl w-80"><h2 className="text-lg font-bold mb-4">API Key</h2><input name="key" type="password" placeholder="AIza..." className="w-full border p-2 rounded mb-4" /><button type="submit" className="w-full bg-blue-600 text-white py-2 rounded font-bold">Start</button></form></div>}
+      {toasts.length > 0 && (
+        <div className="fixed top-4 left-1/2 -translate-x-1/2 z-[60] w-80 space-y-2">
+          {toasts.map(toast => (
+            <div key={toast.id} role="alert" className="bg-white rounded-2xl shadow-xl border border-amber-200 p-4 flex items-start gap-3 motion-safe:animate-in motion-safe:slide-in-from-top-2">
+              <Bell size={18} className="text-amber-500 mt-0.5 shrink-0" aria-hidden="true"/>
+              <button onClick={() => { dismissToast(toast.id); openApp(toast.appId); }} className="flex-1 min-w-0 text-left">
+                <div className="text-xs font-bold text-slate-400 uppercase tracking-widest truncate">{toast.title}</div>
+                <div className="font-bold text-slate-800">{toast.message}</div>
+              </button>
+              <button onClick={() => dismissToast(toast.id)} aria-label="Dismiss" className="text-slate-300 hover:text-slate-500"><X size={16} aria-hidden="true"/></button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {settingsOpen && (
+        <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50">
+          <form key={settingsProvider} onSubmit={saveSettings} role="dialog" aria-modal="true" aria-labelledby="settings-title" className="bg-white p-6 rounded-2xl w-80">
+            <h2 id="settings-title" className="text-lg font-bold mb-4">Model Provider</h2>
+            <select name="provider" aria-label="Provider" autoFocus value={settingsProvider} onChange={(e) => setSettingsProvider(e.target.value)} className="w-full border p-2 rounded mb-3">
+              {PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+            </select>
+            <input name="model" aria-label="Model" defaultValue={settingsProvider === providerSettings.provider ? providerSettings.model : ''} placeholder={settingsProviderDef.defaultModel} className={`w-full border p-2 rounded mb-3 ${settingsProviderDef.usesModel === false ? 'hidden' : ''}`} />
+            {settingsProviderDef.needsBaseUrl && <input name="baseUrl" aria-label="Server address" defaultValue={settingsProvider === providerSettings.provider ? providerSettings.baseUrl : ''} placeholder={settingsProviderDef.defaultBaseUrl} className="w-full border p-2 rounded mb-3" />}
+            <input name="key" type="password" aria-label="API key" defaultValue={providerSettings.apiKey} placeholder={settingsProviderDef.needsApiKey ? "API key (AIza...)" : "API key (optional)"} className={`w-full border p-2 rounded mb-4 ${settingsProviderDef.usesApiKey === false ? 'hidden' : ''}`} />
+            {settingsProviderDef.id === 'proxy' && <p className="text-xs text-slate-400 mb-4">The key and model are set on the proxy (npm run proxy), so nothing secret is stored in this browser.</p>}
+            <button type="submit" className="w-full bg-blue-600 text-white py-2 rounded font-bold">Start</button>
+            <button type="button" onClick={closeSettings} className="w-full text-slate-400 py-2 mt-2 text-sm">Cancel</button>
+          </form>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Pin, PinOff, Pencil, Copy, Archive, ArchiveRestore, Trash2 } from 'lucide-react';
+import { tilePreview } from './engine/dock';
+
+// One app in the dock: a live mini-view of its state plus the tile's own actions.
+// Archived tiles only offer restore and delete-for-good. The whole card opens the app on
+// click; for the keyboard that's the title button, where Alt+Arrow moves the tile.
+const DockTile = ({ app, onOpen, onPin, onRename, onDuplicate, onArchive, onRestore, onDelete, drag }) => {
+  const [renaming, setRenaming] = useState(false);
+  const [draft, setDraft] = useState(app.title);
+  const [, repaint] = useState(0);
+  const titleRef = useRef(null);
+  const preview = tilePreview(app);
+  const live = !!(preview && preview.live);
+
+  useEffect(() => {
+    if (!live) return;
+    const t = setInterval(() => repaint(n => n + 1), 1000);
+    return () => clearInterval(t);
+  }, [live]);
+
+  const stop = (handler) => (e) => { e.stopPropagation(); handler(); };
+
+  const commitRename = () => {
+    setRenaming(false);
+    if (draft.trim() && draft.trim() !== app.title) onRename(draft.trim());
+    else setDraft(app.title);
+  };
+
+  const onTitleKeyDown = (e) => {
+    const delta = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[e.key];
+    if (!e.altKey || !delta || !drag) return;
+    e.preventDefault();
+    drag.move(delta);
+    // Reordering moves the node, which drops focus in some browsers.
+    requestAnimationFrame(() => titleRef.current && titleRef.current.focus());
+  };
+
+  const iconButton = 'p-1.5 rounded-lg text-slate-300 hover:text-slate-600 hover:bg-slate-100';
+
+  return (
+    <div 
+      onClick={() => !renaming && !app.archived && onOpen()} 
+      draggable={!!drag && !renaming}
+      {...(drag ? drag.handlers : {})}
+      className={`bg-white p-5 rounded-2xl shadow-lg relative transition-transform group ${app.archived ? 'opacity-70' : 'cursor-pointer motion-safe:hover:scale-105'} motion-reduce:transition-none ${drag && drag.over ? 'ring-4 ring-blue-400' : ''}`}
+    >
+      <div className="flex items-start justify-between gap-2 mb-3">
+        <div aria-hidden={!app.unseen_alerts} className="w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-xl shadow-md flex items-center justify-center text-white font-bold text-xl relative shrink-0">
+          {app.title[0]}
+          {app.unseen_alerts > 0 && <span title={`${app.unseen_alerts} new alert(s)`} aria-label={`${app.unseen_alerts} new alert(s)`} className="absolute -top-2 -right-2 bg-red-500 text-white text-[10px] font-bold rounded-full min-w-[20px] h-5 px-1 flex items-center justify-center shadow">{app.unseen_alerts}</span>}
+        </div>
+        {preview && (
+          <div className="text-right min-w-0">
+            <div className={`text-2xl font-black tracking-tighter tabular-nums truncate ${live ? 'text-blue-600' : 'text-slate-900'}`}>{preview.value}</div>
+            <div className="text-[10px] font-bold text-slate-400 uppercase tracking-widest truncate">{preview.label}</div>
+          </div>
+        )}
+      </div>
+
+      {renaming ? (
+        <input 
+          autoFocus value={draft} aria-label="Tool name" onChange={(e) => setDraft(e.target.value)} onClick={(e) => e.stopPropagation()}
+          onBlur={commitRename}
+          onKeyDown={(e) => { if (e.key === 'Enter') commitRename(); if (e.key === 'Escape') { setDraft(app.title); setRenaming(false); } }}
+          className="w-full font-bold text-slate-800 border-b-2 border-blue-500 focus:outline-none"
+        />
+      ) : (
+        <h3 className="font-bold text-slate-800 flex items-center gap-1 min-w-0">
+          {app.pinned && <Pin size={12} className="text-blue-500 shrink-0" fill="currentColor" aria-label="Pinned"/>}
+          {app.archived ? <span className="truncate">{app.title}</span> : (
+            <button
+              ref={titleRef}
+              onClick={stop(onOpen)}
+              onKeyDown={onTitleKeyDown}
+              aria-keyshortcuts={drag ? 'Alt+ArrowLeft Alt+ArrowRight' : undefined}
+              className="truncate text-left focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 rounded"
+            >{app.title}</button>
+          )}
+        </h3>
+      )}
+      <p className="text-xs text-slate-400 mt-1 uppercase tracking-wide">{app.archetype}</p>
+
+      <div className="flex gap-1 mt-3 -mb-2 -mx-1">
+        {app.archived ? (
+          <>
+            <button onClick={stop(onRestore)} title="Restore" aria-label={`Restore ${app.title}`} className={iconButton}><ArchiveRestore size={16} aria-hidden="true"/></button>
+            <button onClick={stop(onDelete)} title="Delete for good" aria-label={`Delete ${app.title} for good`} className={`${iconButton} hover:text-red-500`}><Trash2 size={16} aria-hidden="true"/></button>
+          </>
+        ) : (
+          <>
+            <button onClick={stop(onPin)} title={app.pinned ? 'Unpin' : 'Pin to the top'} aria-label={`${app.pinned ? 'Unpin' : 'Pin'} ${app.title}`} className={iconButton}>{app.pinned ? <PinOff size={16} aria-hidden="true"/> : <Pin size={16} aria-hidden="true"/>}</button>
+            <button onClick={stop(() => { setDraft(app.title); setRenaming(true); })} title="Rename" aria-label={`Rename ${app.title}`} className={iconButton}><Pencil size={16} aria-hidden="true"/></button>
+            <button onClick={stop(onDuplicate)} title="Duplicate with fresh state" aria-label={`Duplicate ${app.title}`} className={iconButton}><Copy size={16} aria-hidden="true"/></button>
+            <button onClick={stop(onArchive)} title="Archive" aria-label={`Archive ${app.title}`} className={`${iconButton} hover:text-red-500`}><Archive size={16} aria-hidden="true"/></button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DockTile;
@@ -0,0 +1,53 @@
+// --- EDIT MODE ---
+// When an app is open, the model gets the app as it is now (blueprint, live data and
+// recent conversation) and answers with a patch rather than a fresh tool.
+
+// How many earlier chat turns ride along with an edit request.
+const HISTORY_TURNS = 10;
+
+export const EDIT_INSTRUCTIONS = `
+
+### EDIT MODE (overrides RESPONSE FORMAT above)
+The user is revising the tool shown below. Do NOT rebuild it from scratch and do NOT
+repeat unchanged blocks. Output ONLY a JSON patch:
+
+{
+  "tool_name": "string (only if the name should change)",
+  "operations": [
+    { "op": "add", "index": 0, "block": { ... } },      // insert at index; omit index to append
+    { "op": "replace", "index": 0, "block": { ... } },
+    { "op": "remove", "index": 0 },
+    { "op": "move", "index": 0, "to": 2 }
+  ],
+  "initial_state": { /* starting values for NEW state keys only */ },
+  "message": "string (one sentence describing what changed)"
+}
+
+Operations run in order; each index refers to the blueprint after the previous operation.
+Indexes address top-level blocks only; to change something inside a Row, Group, Tabs
+or Collapsible, replace the whole container.
+Reuse existing state keys when a new block shows or changes the same data, so the
+user's values are kept.`;
+
+export function buildEditPrompt(app, history, userText) {
+  const blueprint = app.blueprint.map((block, i) => `  [${i}] ${JSON.stringify(block)}`).join('\n');
+  const turns = history
+    .filter(m => m.role === 'user' || m.role === 'model')
+    .slice(-HISTORY_TURNS)
+    .map(m => `${m.role === 'user' ? 'User' : 'You'}: ${m.text}`)
+    .join('\n');
+
+  return `CURRENT TOOL: "${app.title}" (${app.archetype})
+
+CURRENT BLUEPRINT (index: block):
+${blueprint}
+
+CURRENT DATA:
+${JSON.stringify(app.data)}
+
+RECENT CONVERSATION:
+${turns || '(none)'}
+
+REQUESTED CHANGE:
+${userText}`;
+}
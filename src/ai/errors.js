@@ -0,0 +1,95 @@
+// --- GENERATION ERRORS ---
+// Whatever goes wrong while asking a model (SDK errors, fetch failures, HTTP statuses,
+// unusable answers) ends up as a GenerationError with a 'kind' the UI can act on:
+//   auth      - key missing, wrong or not allowed: fix it in Settings
+//   quota     - rate limited / out of quota: wait (retryAfterMs when the server says)
+//   network   - the server couldn't be reached at all
+//   server    - the server answered with a 5xx
+//   malformed - the answer never became a valid tool, even after repairs
+//   cancelled - the user pressed Cancel
+//   unknown   - anything else
+
+export class GenerationError extends Error {
+  constructor(kind, message, { status, retryAfterMs, cause } = {}) {
+    super(message);
+    this.name = 'GenerationError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.cause = cause;
+  }
+}
+
+export const isRetryable = (e) => e instanceof GenerationError && ['quota', 'network', 'server'].includes(e.kind);
+
+// "17s" / "1.5s" (Gemini RetryInfo), "Please retry in 17.3s." (Gemini message),
+// or a Retry-After header value (seconds or an HTTP date).
+export const parseRetryAfter = (value) => {
+  if (value === null || value === undefined || value === '') return undefined;
+  const seconds = String(value).match(/^\s*(\d+(?:\.\d+)?)\s*s?\s*$/);
+  if (seconds) return Math.ceil(Number(seconds[1]) * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+const retryHintOf = (e) => {
+  if (e.retryAfterMs !== undefined) return e.retryAfterMs;
+  const info = Array.isArray(e.errorDetails) && e.errorDetails.find(d => d && String(d['@type'] || '').endsWith('RetryInfo'));
+  if (info) return parseRetryAfter(info.retryDelay);
+  const inMessage = String(e.message || '').match(/retry in (\d+(?:\.\d+)?)\s*s/i);
+  return inMessage ? parseRetryAfter(inMessage[1]) : undefined;
+};
+
+const statusOf = (e) => {
+  if (typeof e.status === 'number') return e.status;
+  const m = String(e.message || '').match(/\[(\d{3})[\s\]]/);
+  return m ? Number(m[1]) : undefined;
+};
+
+export function classifyError(e, signal) {
+  if (e instanceof GenerationError) return e;
+  const message = String((e && e.message) || e);
+  if ((signal && signal.aborted) || (e && e.name === 'AbortError')) {
+    return new GenerationError('cancelled', 'Cancelled.', { cause: e });
+  }
+  if (e && (e.name === 'ToolValidationError' || e instanceof SyntaxError)) {
+    return new GenerationError('malformed', message, { cause: e });
+  }
+
+  const status = statusOf(e);
+  const options = { status, cause: e, retryAfterMs: retryHintOf(e) };
+  if (status === 401 || status === 403 || /api key not valid|invalid api key|unauthori[sz]ed|permission denied/i.test(message)) {
+    return new GenerationError('auth', message, options);
+  }
+  if (status === 429 || /quota|rate limit|resource.?exhausted/i.test(message)) {
+    return new GenerationError('quota', message, options);
+  }
+  if (status >= 500) return new GenerationError('server', message, options);
+  if (status === undefined && /failed to fetch|networkerror|network error|load failed|error fetching|ECONNREFUSED/i.test(message)) {
+    return new GenerationError('network', message, options);
+  }
+  return new GenerationError('unknown', message, options);
+}
+
+// What to tell the user, in chat. queued says whether a rate-limited request went back
+// in the queue or was given up on.
+export function describeError(e, { providerLabel = 'The model', queued = true } = {}) {
+  switch (e.kind) {
+    case 'auth':
+      return `${providerLabel} rejected the API key. Check it in Settings (top right of the chat).`;
+    case 'quota':
+      return queued
+        ? `${providerLabel} is rate limiting us. Your request is queued and will be sent when the cooldown ends.`
+        : `${providerLabel} is still rate limiting us, so I gave up on this request. The quota may be used up for now; send it again later.`;
+    case 'network':
+      return `Couldn't reach ${providerLabel}. Check your connection, or that the local server is running, then try again.`;
+    case 'server':
+      return `${providerLabel} had a problem on its side${e.status ? ` (${e.status})` : ''}. Try again in a moment.`;
+    case 'malformed':
+      return `The answer couldn't be turned into a working tool, even after asking for fixes. Try rephrasing the request.\n${e.message}`;
+    case 'cancelled':
+      return 'Cancelled.';
+    default:
+      return `Error: ${e.message}`;
+  }
+}
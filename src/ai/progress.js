@@ -0,0 +1,32 @@
+// --- STREAM PROGRESS ---
+// A best-effort look into a half-streamed JSON answer, for the "Thinking..." indicator.
+// Nothing here is trusted: the finished answer still goes through the validator.
+
+const STRING = '"((?:[^"\\\\]|\\\\.)*)';
+
+const unescape = (s) => s.replace(/\\(.)/g, (_, c) => c === 'n' ? ' ' : c);
+
+export function summarizePartial(text) {
+  const names = [...text.matchAll(new RegExp(`"tool_name"\\s*:\\s*${STRING}"`, 'g'))].map(m => unescape(m[1]));
+  const message = text.match(new RegExp(`"message"\\s*:\\s*${STRING}`));
+  return {
+    chars: text.length,
+    names,
+    blocks: (text.match(/"type"\s*:\s*"/g) || []).length,
+    operations: (text.match(/"op"\s*:\s*"/g) || []).length,
+    message: message ? unescape(message[1]) : ''
+  };
+}
+
+// "Packing List, Kitchen Timer · 6 blocks · 1.2k chars"
+export function describeProgress(text) {
+  if (!text) return '';
+  const p = summarizePartial(text);
+  const size = p.chars >= 1000 ? `${(p.chars / 1000).toFixed(1)}k chars` : `${p.chars} chars`;
+  return [
+    p.names.join(', '),
+    p.blocks && `${p.blocks} block${p.blocks === 1 ? '' : 's'}`,
+    p.operations && `${p.operations} change${p.operations === 1 ? '' : 's'}`,
+    size
+  ].filter(Boolean).join(' · ');
+}
@@ -0,0 +1,39 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { RESPONSE_SCHEMA, PATCH_RESPONSE_SCHEMA } from '../responseSchema';
+import { decodeSchemaAnswer } from './stream';
+
+// Google Gemini via the official SDK. The response schema is enforced server-side,
+// so the streamed text adds up to JSON; only 'initial_state' needs folding back from
+// its entry-list form (see responseSchema.js).
+const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: 'gemini-2.5-flash',
+  needsApiKey: true,
+  needsBaseUrl: false,
+
+  async generate({ settings, systemPrompt, prompt, schema, signal, onChunk = () => {} }) {
+    const genAI = new GoogleGenerativeAI(settings.apiKey);
+    const model = genAI.getGenerativeModel({
+      model: settings.model || geminiProvider.defaultModel,
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: schema === 'patch' ? PATCH_RESPONSE_SCHEMA : RESPONSE_SCHEMA
+      }
+    });
+
+    const chat = model.startChat({
+      history: [{ role: "user", parts: [{ text: systemPrompt }] }]
+    });
+
+    const result = await chat.sendMessageStream(prompt, { signal });
+    let text = '';
+    for await (const chunk of result.stream) {
+      text += chunk.text();
+      onChunk(text);
+    }
+    return decodeSchemaAnswer(text);
+  }
+};
+
+export default geminiProvider;
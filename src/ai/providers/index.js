@@ -0,0 +1,139 @@
+import geminiProvider from './gemini';
+import openAICompatibleProvider from './openaiCompatible';
+import proxyProvider from './proxy';
+import mockProvider from './mock';
+import { validateTool, ToolValidationError } from '../validateTool';
+import { PatchError } from '../../engine/patch';
+import { classifyError } from '../errors';
+import { withRetries } from '../retry';
+
+// --- PROVIDER REGISTRY ---
+// A provider is { id, label, defaultModel, needsApiKey, needsBaseUrl, generate() }, plus
+// usesApiKey / usesModel: false when Settings shouldn't ask for them (the mock has no
+// model to call; the proxy keeps both on the server).
+// generate({ settings, systemPrompt, prompt, schema, signal, onChunk }) resolves to the
+// raw JSON text of the model's answer; schema is 'tool' (a whole new tool) or 'patch'
+// (edit mode) for providers that can enforce it. Providers stream: onChunk(textSoFar)
+// is called as text arrives, and aborting 'signal' stops the request. Parsing,
+// validation, retries and error classification stay in one place (generateTools).
+export const PROVIDERS = [geminiProvider, openAICompatibleProvider, proxyProvider, mockProvider];
+
+export const DEFAULT_SETTINGS = { provider: 'gemini', model: '', apiKey: '', baseUrl: '' };
+
+const SETTINGS_KEY = 'neural_provider';
+
+export const getProvider = (id) => PROVIDERS.find(p => p.id === id) || geminiProvider;
+
+export const loadProviderSettings = () => {
+  let stored = {};
+  try { stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}'); } catch (e) { stored = {}; }
+  // Older installs only kept a bare Gemini key.
+  const legacyKey = localStorage.getItem('gemini_key') || '';
+  return { ...DEFAULT_SETTINGS, apiKey: legacyKey, ...stored };
+};
+
+// The settings now hold the key (or, with the proxy, deliberately don't), so the legacy
+// copy goes.
+export const saveProviderSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  localStorage.removeItem('gemini_key');
+};
+
+export const isProviderReady = (settings) => {
+  const provider = getProvider(settings.provider);
+  return !provider.needsApiKey || !!settings.apiKey;
+};
+
+// How many times the model gets its validation errors back before we give up.
+export const MAX_REPAIR_ROUNDS = 2;
+
+const repairPrompt = (originalPrompt, badOutput, errors) => `${originalPrompt}
+
+---
+Your previous JSON answer was rejected by the validator:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous answer:
+${badOutput}
+
+Return the corrected JSON object only.`;
+
+// One request can ask for several tools ("a packing list and a timer for the taxi"),
+// but a dock full of near-duplicates helps nobody.
+export const MAX_TOOLS_PER_REQUEST = 4;
+
+// New-tool answers are { message, tools: [tool, ...] }. A bare single tool (older
+// prompts, smaller local models that ignore the list) counts as a list of one.
+export const toolsOf = (response) => Array.isArray(response.tools) ? response.tools : [response];
+
+// Resolves to { response, warnings } where response is { ...answer, tools: [tool] }.
+// A message-only reply (no tools, no operations) is passed through with tools: [];
+// anything else goes through toTools() (edit mode turns a patch into the one revised
+// tool there) and every tool must survive validateTool() within MAX_REPAIR_ROUNDS retries.
+// onProgress(textSoFar, round) follows the stream; onRetry({ attempt, delayMs, error })
+// announces a backoff (see ../retry). Failures reject with a classified GenerationError.
+export async function generateTools(settings, options) {
+  try {
+    return await generateOnce(settings, options);
+  } catch (e) {
+    throw classifyError(e, options.signal);
+  }
+}
+
+async function generateOnce(settings, { systemPrompt, prompt, schema = 'tool', toTools = toolsOf, signal, onProgress = () => {}, onRetry }) {
+  const provider = getProvider(settings.provider);
+  let request = prompt;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ROUNDS; attempt++) {
+    onProgress('', attempt);
+    const text = await withRetries(
+      () => provider.generate({ settings, systemPrompt, prompt: request, schema, signal, onChunk: (t) => onProgress(t, attempt) }),
+      { signal, onRetry }
+    );
+
+    let response;
+    try {
+      response = JSON.parse(text);
+    } catch (e) {
+      errors = [`Response is not valid JSON (${e.message}).`];
+      request = repairPrompt(prompt, text, errors);
+      continue;
+    }
+
+    const hasOperations = response && Array.isArray(response.operations) && response.operations.length > 0;
+    const hasTools = response && Array.isArray(response.tools) && response.tools.length > 0;
+    if (response && !response.tool_name && !response.blueprint && !hasOperations && !hasTools && response.message) {
+      return { response: { ...response, tools: [] }, warnings: [] };
+    }
+
+    let candidates;
+    try {
+      candidates = toTools(response);
+    } catch (e) {
+      if (!(e instanceof PatchError)) throw e;
+      errors = [e.message];
+      request = repairPrompt(prompt, text, errors);
+      continue;
+    }
+
+    const warnings = [];
+    if (candidates.length > MAX_TOOLS_PER_REQUEST) {
+      warnings.push(`Kept the first ${MAX_TOOLS_PER_REQUEST} of ${candidates.length} tools.`);
+      candidates = candidates.slice(0, MAX_TOOLS_PER_REQUEST);
+    }
+    const results = candidates.map(validateTool);
+    // With several tools, say which one each problem belongs to.
+    const label = (i) => candidates.length > 1 ? `tools[${i}]: ` : '';
+    errors = results.flatMap((result, i) => result.errors.map(e => label(i) + e));
+    if (!errors.length && results.length) {
+      results.forEach((result, i) => result.warnings.forEach(w => warnings.push(label(i) + w)));
+      return { response: { ...response, tools: results.map(r => r.tool) }, warnings };
+    }
+    if (!results.length) errors = ["'tools' is empty."];
+
+    request = repairPrompt(prompt, text, errors);
+  }
+
+  throw new ToolValidationError(errors, MAX_REPAIR_ROUNDS + 1);
+}
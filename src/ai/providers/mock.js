@@ -0,0 +1,107 @@
+// Deterministic offline provider. Replays canned blueprints picked by keyword so the
+// whole generate -> render loop can be exercised with no network and no key.
+const CANNED = [
+  {
+    match: /timer|countdown|minutes?|pomodoro|laundry/i,
+    response: {
+      tool_name: "Kitchen Timer",
+      archetype: "Regulator",
+      blueprint: [
+        { type: "Timer", label: "Time Left", timer_key: "timer", mode: "countdown", duration: 300 },
+        { type: "Alert", when: "finished(timer)", message: "Time's up!" }
+      ],
+      initial_state: {}
+    }
+  },
+  {
+    match: /list|pack|shop|todo|to-do|steps/i,
+    response: {
+      tool_name: "Packing List",
+      archetype: "Checklist",
+      blueprint: [
+        { type: "Checklist", items_key: "items" }
+      ],
+      initial_state: {
+        items: [
+          { label: "Passport", checked: false, id: 1 },
+          { label: "Charger", checked: false, id: 2 }
+        ]
+      }
+    }
+  },
+  {
+    match: /note|idea|brainstorm|journal|thoughts?/i,
+    response: {
+      tool_name: "Idea Pad",
+      archetype: "Drafter",
+      blueprint: [
+        { type: "TextBlock", text: "# Brain dump\n- Write fast, judge later\n- One idea per line" },
+        { type: "NoteList", label: "Ideas", items_key: "ideas" },
+        { type: "NoteArea", label: "Scratchpad", text_key: "draft" }
+      ],
+      initial_state: { ideas: [], draft: "" }
+    }
+  },
+  {
+    match: /.*/,
+    response: {
+      tool_name: "Counter",
+      archetype: "Accumulator",
+      blueprint: [
+        { type: "HeroStat", label: "Total", value_key: "count" },
+        { type: "ActionButton", label: "+1", action: "INCREMENT_COUNT", payload: { key: "count", amount: 1 } },
+        { type: "DailyBars", label: "This Week", value_key: "count", period: "day" }
+      ],
+      initial_state: { count: 0 }
+    }
+  }
+];
+
+// Edit mode always answers with the same small patch.
+const CANNED_PATCH = {
+  operations: [
+    { op: "add", block: { type: "ActionButton", label: "Reset", action: "RESET_APP", variant: "destructive", payload: {} } }
+  ],
+  initial_state: {},
+  message: "[mock] Added a reset button."
+};
+
+const MOCK_LATENCY_MS = 300;
+const MOCK_CHUNKS = 6;
+
+// Plays the answer back in a few chunks, like a streaming model, and honours Cancel.
+const stream = async (text, signal, onChunk) => {
+  const size = Math.ceil(text.length / MOCK_CHUNKS);
+  for (let i = 1; i <= MOCK_CHUNKS; i++) {
+    await new Promise(resolve => setTimeout(resolve, MOCK_LATENCY_MS / MOCK_CHUNKS));
+    if (signal && signal.aborted) {
+      const error = new Error('The mock request was aborted.');
+      error.name = 'AbortError';
+      throw error;
+    }
+    onChunk(text.slice(0, size * i));
+  }
+  return text;
+};
+
+const mockProvider = {
+  id: 'mock',
+  label: 'Mock (offline)',
+  defaultModel: 'canned',
+  needsApiKey: false,
+  needsBaseUrl: false,
+  usesApiKey: false,
+
+  async generate({ prompt, schema, signal, onChunk = () => {} }) {
+    if (schema === 'patch') return stream(JSON.stringify(CANNED_PATCH), signal, onChunk);
+    // "a list and a timer" gets one canned tool per part, like a real multi-tool answer.
+    const tools = [];
+    for (const part of prompt.split(/\band\b|\bplus\b|;/i)) {
+      const { response } = CANNED.find(c => c.match.test(part));
+      if (!tools.includes(response)) tools.push(response);
+    }
+    return stream(JSON.stringify({ message: `[mock] Created ${tools.map(t => t.tool_name).join(' and ')}.`, tools }), signal, onChunk);
+  }
+};
+
+export default mockProvider;
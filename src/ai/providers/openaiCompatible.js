@@ -0,0 +1,60 @@
+import { parseRetryAfter } from '../errors';
+import { readEventStream } from './stream';
+
+// Any server speaking the OpenAI chat-completions dialect: OpenAI itself, LM Studio,
+// llama.cpp server, or Ollama's /v1 endpoint. Local servers usually ignore the key.
+// Answers are streamed as server-sent events ("data: {...}" lines, then "data: [DONE]").
+
+const openAICompatibleProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible / Local',
+  defaultModel: 'llama3.1',
+  defaultBaseUrl: 'http://localhost:11434/v1',
+  needsApiKey: false,
+  needsBaseUrl: true,
+
+  async generate({ settings, systemPrompt, prompt, signal, onChunk = () => {} }) {
+    const baseUrl = (settings.baseUrl || openAICompatibleProvider.defaultBaseUrl).replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+    const res = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: settings.model || openAICompatibleProvider.defaultModel,
+        response_format: { type: 'json_object' },
+        stream: true,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: prompt }
+        ]
+      })
+    });
+
+    if (!res.ok) {
+      const detail = await res.text().catch(() => '');
+      const error = new Error(`[${res.status}] ${res.statusText} ${detail}`.trim());
+      error.status = res.status;
+      error.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+      throw error;
+    }
+
+    // Servers that ignore 'stream' answer with one plain JSON body.
+    if (!res.body || !(res.headers.get('content-type') || '').includes('event-stream')) {
+      const json = await res.json();
+      const text = json.choices?.[0]?.message?.content || '';
+      onChunk(text);
+      return text;
+    }
+    let text = '';
+    await readEventStream(res.body, (event) => {
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) { text += delta; onChunk(text); }
+    });
+    return text;
+  }
+};
+
+export default openAICompatibleProvider;
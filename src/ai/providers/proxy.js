@@ -0,0 +1,60 @@
+import { RESPONSE_SCHEMA, PATCH_RESPONSE_SCHEMA } from '../responseSchema';
+import { parseRetryAfter } from '../errors';
+import { readEventStream, decodeSchemaAnswer } from './stream';
+
+// The optional Fluid OS proxy (server/ in this repo). It holds the model credentials
+// and picks the model, so nothing secret is kept in the browser: we send the prompts
+// (and the Gemini response schema, which the block catalog defines) and read back
+// "data: { delta }" events. Its 429s carry Retry-After like any rate-limited server.
+
+const readDeltas = async (body, onChunk) => {
+  let text = '';
+  await readEventStream(body, (event) => {
+    if (event.error) {
+      const error = new Error(`[${event.status || 502}] ${event.error}`);
+      error.status = event.status || 502;
+      throw error;
+    }
+    text += event.delta || '';
+    onChunk(text);
+  });
+  return text;
+};
+
+const proxyProvider = {
+  id: 'proxy',
+  label: 'Fluid OS proxy server',
+  defaultModel: 'chosen by the server',
+  defaultBaseUrl: 'http://localhost:8787',
+  needsApiKey: false,
+  needsBaseUrl: true,
+  usesApiKey: false,
+  usesModel: false,
+
+  async generate({ settings, systemPrompt, prompt, schema, signal, onChunk = () => {} }) {
+    const baseUrl = (settings.baseUrl || proxyProvider.defaultBaseUrl).replace(/\/+$/, '');
+    const res = await fetch(`${baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal,
+      body: JSON.stringify({
+        systemPrompt,
+        prompt,
+        schema,
+        responseSchema: schema === 'patch' ? PATCH_RESPONSE_SCHEMA : RESPONSE_SCHEMA
+      })
+    });
+
+    if (!res.ok) {
+      const detail = await res.json().then(body => body.error).catch(() => res.statusText);
+      const error = new Error(`[${res.status}] ${detail}`);
+      error.status = res.status;
+      error.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+      throw error;
+    }
+
+    return decodeSchemaAnswer(await readDeltas(res.body, onChunk));
+  }
+};
+
+export default proxyProvider;
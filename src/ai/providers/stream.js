@@ -0,0 +1,44 @@
+import { decodeStateEntries } from '../responseSchema';
+
+// --- SHARED STREAMING HELPERS ---
+
+// Calls onEvent(parsed JSON) for every "data: {...}" line of a server-sent event stream,
+// until the body ends. "[DONE]", keep-alives and lines that aren't JSON are skipped, so
+// one odd line from a server doesn't end the generation. Errors thrown by onEvent do.
+export const readEventStream = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const handle = (line) => {
+    const data = line.replace(/^data:\s*/, '').trim();
+    if (!line.startsWith('data:') || !data || data === '[DONE]') return;
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (e) {
+      return; // A keep-alive or vendor extra we don't understand.
+    }
+    onEvent(event);
+  };
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handle);
+  }
+  // A stream may end without a final newline; its last line still counts.
+  buffer += decoder.decode();
+  buffer.split('\n').forEach(handle);
+};
+
+// Answers generated against the Gemini response schema carry 'initial_state' as an
+// entry list; this folds it back. Text that isn't JSON is returned as it is.
+export const decodeSchemaAnswer = (text) => {
+  try {
+    return JSON.stringify(decodeStateEntries(JSON.parse(text)));
+  } catch (e) {
+    return text; // Let the validator report it and ask for a repair.
+  }
+};
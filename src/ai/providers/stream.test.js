@@ -0,0 +1,61 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { readEventStream, decodeSchemaAnswer } from './stream';
+
+// jsdom has no TextDecoder.
+global.TextDecoder = TextDecoder;
+
+// A response body that hands out the given strings as chunks.
+const bodyOf = (chunks) => {
+  const encoder = new TextEncoder();
+  let i = 0;
+  return {
+    getReader: () => ({
+      read: async () => i < chunks.length ? { done: false, value: encoder.encode(chunks[i++]) } : { done: true }
+    })
+  };
+};
+
+const collect = async (chunks) => {
+  const events = [];
+  await readEventStream(bodyOf(chunks), event => events.push(event));
+  return events;
+};
+
+describe('readEventStream', () => {
+  test('joins lines split across chunks', async () => {
+    expect(await collect(['data: {"a":', '1}\n\ndata: {"a":2}\n\n', 'data: [DONE]\n\n'])).toEqual([{ a: 1 }, { a: 2 }]);
+  });
+
+  test('skips keep-alives and lines that are not JSON', async () => {
+    expect(await collect([': ping\n', 'data: {oops\n', 'event: x\ndata: {"a":1}\n'])).toEqual([{ a: 1 }]);
+  });
+
+  test('reads a last line without a trailing newline', async () => {
+    expect(await collect(['data: {"a":1}\n\ndata: {"a":2}'])).toEqual([{ a: 1 }, { a: 2 }]);
+  });
+
+  test('keeps multi-byte characters split across chunks', async () => {
+    const bytes = new TextEncoder().encode('data: {"a":"é"}');
+    let i = 0;
+    const chunks = [bytes.slice(0, bytes.length - 3), bytes.slice(bytes.length - 3)];
+    const body = { getReader: () => ({ read: async () => i < chunks.length ? { done: false, value: chunks[i++] } : { done: true } }) };
+    const events = [];
+    await readEventStream(body, event => events.push(event));
+    expect(events).toEqual([{ a: 'é' }]);
+  });
+
+  test('errors thrown by the handler end the stream', async () => {
+    await expect(readEventStream(bodyOf(['data: {"error":"boom"}\n']), () => { throw new Error('boom'); })).rejects.toThrow('boom');
+  });
+});
+
+describe('decodeSchemaAnswer', () => {
+  test('folds initial_state entries back into an object', () => {
+    const text = JSON.stringify({ tools: [{ tool_name: 'T', initial_state: [{ key: 'count', number: 2 }] }] });
+    expect(JSON.parse(decodeSchemaAnswer(text)).tools[0].initial_state).toEqual({ count: 2 });
+  });
+
+  test('returns text that is not JSON unchanged', () => {
+    expect(decodeSchemaAnswer('{"tools": [')).toBe('{"tools": [');
+  });
+});
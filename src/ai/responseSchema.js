@@ -0,0 +1,159 @@
+import { SchemaType } from '@google/generative-ai';
+import { BLOCK_CATALOG, BLOCK_TYPES, isContainer } from '../blocks';
+import { ARCHETYPES } from './validateTool';
+import { PATCH_OPS } from '../engine/patch';
+
+// --- THE STRICT SCHEMA (Satisfies Gemini Error 400) ---
+// Gemini rejects OBJECT schemas without explicit properties, which used to force us to
+// hard-code every state key (count, items, ...). Instead the schema asks Gemini for
+// 'initial_state' as a list of { key, <typed value> } entries, and decodeStateEntries()
+// folds that back into the plain object the rest of the app uses. Block properties are
+// the union of every prop declared in the block catalog.
+
+const SCHEMA_TYPES = {
+  string: SchemaType.STRING,
+  number: SchemaType.NUMBER,
+  boolean: SchemaType.BOOLEAN
+};
+
+// Gemini schemas can't recurse, so container children are spelled out to a fixed depth
+// (top level + two levels of nesting); the innermost level only offers leaf blocks.
+const SCHEMA_NESTING = 2;
+
+// Returns null for a nested block list that is already too deep to describe.
+const toSchema = (spec, depth = 0) => {
+  if (spec.type === 'blocks') {
+    return depth < SCHEMA_NESTING ? { type: SchemaType.ARRAY, items: blockSchema(depth + 1), nullable: true } : null;
+  }
+  if (spec.type === 'object') {
+    return {
+      type: SchemaType.OBJECT,
+      properties: Object.fromEntries(Object.entries(spec.properties)
+        .map(([k, s]) => [k, toSchema(s, depth)])
+        .filter(([, schema]) => schema)
+        .map(([k, schema]) => [k, { ...schema, nullable: true }])),
+      nullable: true
+    };
+  }
+  if (spec.type === 'array') {
+    return { type: SchemaType.ARRAY, items: toSchema(spec.items, depth), nullable: true };
+  }
+  const schema = { type: SCHEMA_TYPES[spec.type] };
+  if (spec.enum) schema.enum = spec.enum;
+  return schema;
+};
+
+const blockProperties = (depth) => {
+  const types = depth < SCHEMA_NESTING ? BLOCK_TYPES : BLOCK_TYPES.filter(t => !isContainer(t));
+  const properties = { type: { type: SchemaType.STRING, enum: types } };
+  for (const type of types) {
+    for (const [name, spec] of Object.entries(BLOCK_CATALOG[type].props)) {
+      if (properties[name]) continue;
+      const schema = toSchema(spec, depth);
+      if (schema) properties[name] = { ...schema, nullable: true };
+    }
+  }
+  return properties;
+};
+
+// List-valued state (e.g. checklist items) takes the union of the item shapes the
+// catalog declares.
+const listItemProperties = () => {
+  const properties = {};
+  for (const def of Object.values(BLOCK_CATALOG)) {
+    for (const spec of Object.values(def.props)) {
+      if (spec.binds !== 'array' || !spec.items) continue;
+      for (const [name, itemSpec] of Object.entries(spec.items)) {
+        if (!properties[name]) properties[name] = { ...toSchema(itemSpec), nullable: true };
+      }
+    }
+  }
+  return properties;
+};
+
+const stateEntriesSchema = () => ({
+  type: SchemaType.ARRAY,
+  description: "One entry per state key used by the blueprint. Fill exactly one of number/boolean/text/list.",
+  items: {
+    type: SchemaType.OBJECT,
+    properties: {
+      key: { type: SchemaType.STRING },
+      number: { type: SchemaType.NUMBER, nullable: true },
+      boolean: { type: SchemaType.BOOLEAN, nullable: true },
+      text: { type: SchemaType.STRING, nullable: true },
+      list: {
+        type: SchemaType.ARRAY,
+        nullable: true,
+        items: { type: SchemaType.OBJECT, properties: listItemProperties() }
+      }
+    },
+    required: ["key"]
+  }
+});
+
+function blockSchema(depth = 0) {
+  return { type: SchemaType.OBJECT, properties: blockProperties(depth), required: ["type"] };
+}
+
+const toolSchema = () => ({
+  type: SchemaType.OBJECT,
+  properties: {
+    tool_name: { type: SchemaType.STRING },
+    archetype: { type: SchemaType.STRING, enum: ARCHETYPES },
+    initial_state: stateEntriesSchema(),
+    blueprint: { type: SchemaType.ARRAY, items: blockSchema() }
+  },
+  required: ["tool_name", "archetype", "blueprint", "initial_state"]
+});
+
+// One answer, one or more tools (one per distinct problem).
+export const buildResponseSchema = () => ({
+  type: SchemaType.OBJECT,
+  properties: {
+    message: { type: SchemaType.STRING },
+    tools: { type: SchemaType.ARRAY, items: toolSchema() }
+  },
+  required: ["message", "tools"]
+});
+
+// Edit mode: a patch against the current blueprint (see engine/patch.js).
+export const buildPatchSchema = () => ({
+  type: SchemaType.OBJECT,
+  properties: {
+    tool_name: { type: SchemaType.STRING, nullable: true },
+    operations: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          op: { type: SchemaType.STRING, enum: PATCH_OPS },
+          index: { type: SchemaType.NUMBER, nullable: true },
+          to: { type: SchemaType.NUMBER, nullable: true },
+          block: { ...blockSchema(), nullable: true }
+        },
+        required: ["op"]
+      }
+    },
+    initial_state: { ...stateEntriesSchema(), nullable: true },
+    message: { type: SchemaType.STRING }
+  },
+  required: ["operations", "message"]
+});
+
+export const RESPONSE_SCHEMA = buildResponseSchema();
+
+export const PATCH_RESPONSE_SCHEMA = buildPatchSchema();
+
+// [{ key: 'count', number: 0 }, ...] -> { count: 0, ... }. Objects pass through, and
+// a multi-tool answer has each of its tools decoded.
+export const decodeStateEntries = (response) => {
+  if (response && Array.isArray(response.tools)) return { ...response, tools: response.tools.map(decodeStateEntries) };
+  if (!response || !Array.isArray(response.initial_state)) return response;
+  const state = {};
+  for (const entry of response.initial_state) {
+    if (!entry || !entry.key) continue;
+    const value = [entry.number, entry.boolean, entry.text, entry.list].find(v => v !== undefined && v !== null);
+    state[entry.key] = value === undefined ? null : value;
+  }
+  return { ...response, initial_state: state };
+};
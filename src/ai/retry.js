@@ -0,0 +1,50 @@
+import { classifyError, isRetryable, GenerationError } from './errors';
+
+// --- RETRIES WITH BACKOFF ---
+// Transient failures (rate limits, dropped connections, 5xx) are retried a few times
+// with exponential backoff. A retry hint from the server wins over our own schedule;
+// a hint longer than MAX_INLINE_WAIT_MS is not waited out here but handed back to
+// the caller, which cools down and queues the request instead.
+
+export const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 16000;
+export const MAX_INLINE_WAIT_MS = 20000;
+
+// How long to cool down after a rate limit that came without a retry hint.
+export const DEFAULT_COOLDOWN_MS = 30000;
+
+// How many times a rate-limited request goes back in the queue before we give up on it.
+// A spent daily quota would otherwise resend it after every cooldown, forever.
+export const MAX_REQUEUES = 3;
+
+export const backoffDelay = (attempt, hintMs) => {
+  if (hintMs !== undefined) return hintMs;
+  const exponential = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * Math.pow(2, attempt));
+  return Math.round(exponential * (0.8 + Math.random() * 0.4));
+};
+
+// Resolves after ms, or rejects as soon as the signal aborts.
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) return reject(new GenerationError('cancelled', 'Cancelled.'));
+  const t = setTimeout(() => { if (signal) signal.removeEventListener('abort', onAbort); resolve(); }, ms);
+  const onAbort = () => { clearTimeout(t); reject(new GenerationError('cancelled', 'Cancelled.')); };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Runs fn() until it succeeds, fails for good, or runs out of retries. onRetry gets
+// { attempt, delayMs, error } before each wait. Errors come out classified.
+export async function withRetries(fn, { signal, onRetry = () => {}, retries = MAX_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (raw) {
+      const error = classifyError(raw, signal);
+      if (!isRetryable(error) || attempt >= retries) throw error;
+      const delayMs = backoffDelay(attempt, error.retryAfterMs);
+      if (delayMs > MAX_INLINE_WAIT_MS) throw error;
+      onRetry({ attempt: attempt + 1, delayMs, error });
+      await sleep(delayMs, signal);
+    }
+  }
+}
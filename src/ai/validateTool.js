@@ -0,0 +1,295 @@
+import { BLOCK_CATALOG, BLOCK_TYPES, getStateBindings, isContainer, walkBlocks } from '../blocks';
+import { getAction } from '../engine/actions';
+import { createTimer, isTimer } from '../engine/timers';
+import { parseFormula, formulaRefTypes, findCycles, isReservedName } from '../engine/formula';
+import { parseTime } from '../engine/periods';
+import { SCHEDULES, WEEKDAYS } from '../blocks/Reset';
+
+// --- BLUEPRINT VALIDATION & AUTO-REPAIR ---
+// The model's JSON goes through here before it becomes an app. Anything we can fix
+// safely (missing state keys, a stray bad block) is fixed and reported as a warning;
+// anything we can't is reported as an error so the model gets another attempt.
+
+export const ARCHETYPES = ["Accumulator", "Regulator", "Checklist", "Drafter"];
+
+// Containers inside containers inside containers is already more than a focused tool needs.
+const MAX_NESTING = 3;
+
+const DEFAULTS = { number: 0, boolean: false, array: [], string: '' };
+
+const typeOf = (value) => isTimer(value) ? 'timer' : Array.isArray(value) ? 'array' : typeof value;
+
+// Timer state is built from the block (or button payload) that declares it.
+const timerFrom = (source = {}) => createTimer(source.mode, source.duration ?? source.initialValue ?? 60);
+
+export function validateTool(response) {
+  const errors = [];
+  const warnings = [];
+
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    return { tool: null, errors: ["Response is not a JSON object."], warnings };
+  }
+
+  if (typeof response.tool_name !== 'string' || !response.tool_name.trim()) {
+    errors.push("Missing 'tool_name'.");
+  }
+  if (!Array.isArray(response.blueprint)) {
+    errors.push("'blueprint' must be an array of blocks.");
+    return { tool: null, errors, warnings };
+  }
+
+  let archetype = response.archetype;
+  if (!ARCHETYPES.includes(archetype)) {
+    warnings.push(`Unknown archetype '${archetype}', using 'Drafter'.`);
+    archetype = 'Drafter';
+  }
+
+  let state = response.initial_state;
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    if (state !== undefined && state !== null) warnings.push("'initial_state' was not an object, reset to {}.");
+    state = {};
+  }
+  state = { ...state };
+
+  // Computed names are derived from state, never stored in it. Collected up front so
+  // blocks that display them don't get a stray state key created.
+  const computed = {};
+  const formulas = {};
+  const formulaUses = []; // every parsed formula (Computed and Alert), for the key check at the end
+  let hasReset = false; // an app runs on one schedule
+  walkBlocks(response.blueprint, (raw) => {
+    if (raw.type !== 'Computed') return;
+    const where = `Computed '${raw.name}'`;
+    if (!raw.name || typeof raw.name !== 'string') {
+      errors.push("Computed block is missing 'name'.");
+      return;
+    }
+    if (isReservedName(raw.name)) {
+      errors.push(`${where}: '${raw.name}' can't be used as a name.`);
+      return;
+    }
+    try {
+      computed[raw.name] = parseFormula(raw.expr);
+      formulas[raw.name] = raw.expr;
+      formulaUses.push({ where, ast: computed[raw.name] });
+    } catch (e) {
+      errors.push(`${where}: ${e.message}`);
+      return;
+    }
+    if (state[raw.name] !== undefined) {
+      delete state[raw.name];
+      warnings.push(`${where}: removed '${raw.name}' from 'initial_state', it is computed.`);
+    }
+  });
+  findCycles(formulas).forEach(name => errors.push(`Computed '${name}': formula refers back to itself.`));
+
+  const ensureState = (key, type, where, source) => {
+    if (computed[key]) {
+      if (type === 'timer' || type === 'array') errors.push(`${where}: '${key}' is computed and can't be used as a ${type}.`);
+      return;
+    }
+    if (state[key] === undefined || state[key] === null) {
+      state[key] = type === 'timer' ? timerFrom(source) : DEFAULTS[type];
+      if (type !== 'timer') warnings.push(`${where}: created missing state key '${key}' (${type}).`);
+    } else if (typeOf(state[key]) !== type) {
+      if (type === 'timer' && typeof state[key] === 'number') {
+        state[key] = createTimer(source && source.mode, state[key]);
+        warnings.push(`${where}: turned '${key}' (seconds) into a countdown timer.`);
+      } else if (type === 'number' && !isNaN(Number(state[key]))) {
+        state[key] = Number(state[key]);
+        warnings.push(`${where}: coerced '${key}' to a number.`);
+      } else {
+        errors.push(`${where}: state key '${key}' must be a ${type}, got ${typeOf(state[key])}.`);
+      }
+    }
+  };
+
+  // Makes sure the state key an action writes to exists. Returns the repaired payload,
+  // or a problem string if the action can't be used at all.
+  const bindActionState = (actionType, rawPayload, where) => {
+    const action = getAction(actionType);
+    if (!action || !action.button) return { problem: `unknown action '${actionType}'.` };
+    const payload = rawPayload && typeof rawPayload === 'object' ? { ...rawPayload } : {};
+    const binding = action.binds;
+    if (!binding) return { payload };
+    if (!payload.key) {
+      if (!binding.fallback) return { problem: `'${actionType}' needs payload.key.` };
+      payload.key = binding.fallback;
+    }
+    if (computed[payload.key]) return { problem: `'${payload.key}' is computed and can't be changed.` };
+    if (binding.type === 'any') {
+      if (state[payload.key] === undefined) {
+        state[payload.key] = payload.value ?? null;
+        warnings.push(`${where}: created missing state key '${payload.key}'.`);
+      }
+    } else {
+      ensureState(payload.key, binding.type, where, payload);
+    }
+    return { payload };
+  };
+
+  // Blocks that own timer state are bound first, so a START_TIMER button listed above
+  // its Timer doesn't create the timer with default settings.
+  walkBlocks(response.blueprint, (raw) => {
+    for (const { prop, type } of getStateBindings(raw.type)) {
+      if (type === 'timer' && raw[prop]) ensureState(raw[prop], type, `${raw.type} '${raw[prop]}'`, raw);
+    }
+  });
+
+  const repairAction = (block, where) => {
+    const def = BLOCK_CATALOG[block.type];
+    const label = `'${block.label || ''}'`;
+    if (!def.actions.includes(block.action)) {
+      return `dropped button ${label} with unknown action '${block.action}'.`;
+    }
+    if (block.action === 'COMPOSITE') {
+      const steps = block.payload && block.payload.steps;
+      if (!Array.isArray(steps) || steps.length === 0) return `dropped button ${label}, COMPOSITE needs payload.steps.`;
+      const repaired = [];
+      for (const step of steps) {
+        const result = step && step.action !== 'COMPOSITE'
+          ? bindActionState(step.action, step.payload, `${where} (${block.type})`)
+          : { problem: 'COMPOSITE steps cannot nest.' };
+        if (result.problem) return `dropped button ${label}, ${result.problem}`;
+        repaired.push({ action: step.action, payload: result.payload });
+      }
+      block.payload = { ...block.payload, steps: repaired };
+    } else {
+      const result = bindActionState(block.action, block.payload, `${where} (${block.type})`);
+      if (result.problem) return `dropped button ${label}, ${result.problem}`;
+      block.payload = result.payload;
+    }
+    return null;
+  };
+
+  // Repairs a list of blocks at any depth; containers recurse into their children.
+  const repairBlocks = (list, path, depth) => (Array.isArray(list) ? list : []).map((raw, i) => {
+    const where = `${path}[${i}]`;
+    if (!raw || typeof raw !== 'object') {
+      warnings.push(`${where}: dropped non-object block.`);
+      return null;
+    }
+    if (!BLOCK_TYPES.includes(raw.type)) {
+      warnings.push(`${where}: dropped unknown block type '${raw.type}'.`);
+      return null;
+    }
+
+    const block = { ...raw };
+    const def = BLOCK_CATALOG[block.type];
+
+    for (const { prop, type, fallback } of getStateBindings(block.type)) {
+      if (!block[prop]) {
+        if (!fallback) {
+          warnings.push(`${where} (${block.type}): dropped, missing '${prop}'.`);
+          return null;
+        }
+        block[prop] = fallback;
+      }
+      ensureState(block[prop], type, `${where} (${block.type})`, block);
+    }
+
+    // Checklist rows are keyed by id; seeded items come without one.
+    if (block.type === 'Checklist' && Array.isArray(state[block.items_key])) {
+      state[block.items_key] = state[block.items_key].map((item, n) =>
+        item && typeof item === 'object' && (item.id === undefined || item.id === null) ? { ...item, id: n + 1 } : item);
+    }
+
+    if (block.type === 'Alert') {
+      try {
+        formulaUses.push({ where: `${where} (Alert)`, ast: parseFormula(block.when) });
+      } catch (e) {
+        warnings.push(`${where}: dropped Alert, ${e.message}`);
+        return null;
+      }
+      if (!block.message) block.message = block.when;
+    }
+
+    if (block.type === 'Reset') {
+      if (hasReset) {
+        warnings.push(`${where}: dropped Reset, a tool has one schedule.`);
+        return null;
+      }
+      if (!SCHEDULES.includes(block.every)) {
+        warnings.push(`${where}: dropped Reset, 'every' must be one of ${SCHEDULES.join(', ')}.`);
+        return null;
+      }
+      if (block.at !== undefined && !parseTime(block.at)) {
+        warnings.push(`${where}: Reset time '${block.at}' is not HH:MM, using 00:00.`);
+        block.at = '00:00';
+      }
+      if (block.weekday !== undefined && !WEEKDAYS.includes(String(block.weekday).toLowerCase())) {
+        warnings.push(`${where}: unknown weekday '${block.weekday}', using monday.`);
+        block.weekday = 'monday';
+      } else if (block.weekday !== undefined) {
+        block.weekday = String(block.weekday).toLowerCase();
+      }
+      hasReset = true;
+    }
+
+    if (def.props.action) {
+      const problem = repairAction(block, where);
+      if (problem) {
+        warnings.push(`${where}: ${problem}`);
+        return null;
+      }
+    }
+
+    if (isContainer(block.type)) {
+      if (depth >= MAX_NESTING) {
+        warnings.push(`${where}: dropped ${block.type}, containers nest at most ${MAX_NESTING} deep.`);
+        return null;
+      }
+      let childCount = 0;
+      for (const [prop, spec] of Object.entries(def.props)) {
+        if (spec.type === 'blocks') {
+          block[prop] = repairBlocks(block[prop], `${where}.${prop}`, depth + 1);
+          childCount += block[prop].length;
+        } else if (spec.type === 'array' && spec.items && spec.items.properties && spec.items.properties.children) {
+          // Tabs and the like: a list of { title, children } sections.
+          block[prop] = (Array.isArray(block[prop]) ? block[prop] : [])
+            .filter(section => section && typeof section === 'object')
+            .map((section, j) => ({ ...section, children: repairBlocks(section.children, `${where}.${prop}[${j}].children`, depth + 1) }))
+            .filter(section => section.children.length > 0);
+          childCount += block[prop].length;
+        }
+      }
+      if (childCount === 0) {
+        warnings.push(`${where}: dropped empty ${block.type}.`);
+        return null;
+      }
+    }
+
+    return block;
+  }).filter(Boolean);
+
+  const blueprint = repairBlocks(response.blueprint, 'blueprint', 0);
+
+  // Formulas may read keys nothing else declared; those start empty.
+  formulaUses.forEach(({ where, ast }) => {
+    Object.entries(formulaRefTypes(ast)).forEach(([ref, type]) => {
+      if (computed[ref]) return;
+      // A plain reference can read any existing key (flags, text); only new ones default to numbers.
+      ensureState(ref, type === 'number' && state[ref] !== undefined && state[ref] !== null ? typeOf(state[ref]) : type, where);
+    });
+  });
+
+  if (blueprint.length === 0) {
+    errors.push("No usable blocks left in 'blueprint'.");
+  }
+
+  if (errors.length) return { tool: null, errors, warnings };
+
+  return {
+    tool: { ...response, archetype, blueprint, initial_state: state },
+    errors,
+    warnings
+  };
+}
+
+export class ToolValidationError extends Error {
+  constructor(errors, attempts) {
+    super(`The model could not produce a valid tool after ${attempts} attempt(s):\n- ${errors.join('\n- ')}`);
+    this.name = 'ToolValidationError';
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,52 @@
+// --- ALERT OUTPUTS (sound + browser notifications) ---
+// The browser side of engine/rules. Everything fails quietly: no audio, no
+// Notification API or a denied permission just means the in-app toast is all you get.
+
+let audioContext = null;
+
+// A short two-note chime made with an oscillator, so there is no audio file to ship.
+export function playChime() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return;
+  try {
+    audioContext = audioContext || new Ctx();
+    if (audioContext.state === 'suspended') audioContext.resume();
+    const t0 = audioContext.currentTime;
+    [880, 1320].forEach((frequency, i) => {
+      const osc = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      const start = t0 + i * 0.18;
+      osc.type = 'sine';
+      osc.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.6);
+      osc.connect(gain).connect(audioContext.destination);
+      osc.start(start);
+      osc.stop(start + 0.65);
+    });
+  } catch (e) {
+    console.warn('Chime failed:', e);
+  }
+}
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const notificationPermission = () => notificationsSupported() ? window.Notification.permission : 'denied';
+
+// Must be called from a user gesture (a click), or browsers ignore it.
+export async function requestNotifications() {
+  if (!notificationsSupported()) return 'denied';
+  if (window.Notification.permission !== 'default') return window.Notification.permission;
+  return window.Notification.requestPermission();
+}
+
+export function showNotification(title, body, onClick) {
+  if (notificationPermission() !== 'granted') return;
+  try {
+    const n = new window.Notification(title, { body, tag: `${title}:${body}` });
+    n.onclick = () => { window.focus(); if (onClick) onClick(); n.close(); };
+  } catch (e) {
+    console.warn('Notification failed:', e);
+  }
+}
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Plus, Minus, Play, Square } from 'lucide-react';
+import { getAction, getButtonActions } from '../engine/actions';
+
+// ACTION BUTTON
+const ActionButton = ({ label, action, payload, onAction, variant }) => {
+  const isDestructive = variant === 'destructive';
+  return (
+    <button 
+      onClick={() => onAction(action, payload || {})}
+      className={`w-full py-5 rounded-2xl font-bold text-lg shadow-lg transform motion-safe:active:scale-95 transition-all mb-3 flex items-center justify-center gap-2
+        ${isDestructive ? 'bg-red-50 text-red-600' : 'bg-slate-900 text-white hover:bg-slate-800'}`}
+    >
+      {action === 'START_TIMER' && <Play size={20} fill="currentColor" aria-hidden="true"/>}
+      {action === 'STOP_TIMER' && <Square size={20} fill="currentColor" aria-hidden="true"/>}
+      {action === 'INCREMENT_COUNT' && <Plus size={24} aria-hidden="true" />}
+      {action === 'DECREMENT_COUNT' && <Minus size={24} aria-hidden="true" />}
+      {label}
+    </button>
+  );
+};
+
+const ACTIONS = getButtonActions();
+
+const PAYLOAD_PROPS = {
+  key: { type: 'string' },
+  amount: { type: 'number' },
+  value: { type: 'string' },
+  index: { type: 'number' },
+  initialValue: { type: 'number' },
+  min: { type: 'number' },
+  max: { type: 'number' }
+};
+
+export default {
+  type: 'ActionButton',
+  component: ActionButton,
+  props: {
+    label: { type: 'string' },
+    action: { type: 'string', enum: ACTIONS },
+    variant: { type: 'string', enum: ['default', 'destructive'], optional: true },
+    payload: {
+      type: 'object',
+      properties: {
+        ...PAYLOAD_PROPS,
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', enum: ACTIONS.filter(a => a !== 'COMPOSITE') },
+              payload: { type: 'object', properties: PAYLOAD_PROPS }
+            }
+          }
+        }
+      }
+    }
+  },
+  actions: ACTIONS,
+  prompt: [
+    "A primary button that triggers an action.",
+    "'action' is one of the following, with its 'payload':",
+    ...ACTIONS.map(a => `  * "${a}": ${getAction(a).doc}`),
+    "Optional 'variant': \"destructive\" for reset/clear style buttons."
+  ]
+};
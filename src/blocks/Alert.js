@@ -0,0 +1,22 @@
+// ALERT (No UI: a rule that fires a toast, chime and notification)
+// engine/rules watches 'when' and fires once each time it turns true.
+const Alert = () => null;
+
+export default {
+  type: 'Alert',
+  component: Alert,
+  props: {
+    when: { type: 'string' },
+    message: { type: 'string' },
+    sound: { type: 'boolean', optional: true }
+  },
+  actions: [],
+  prompt: [
+    "An invisible rule: when the 'when' formula becomes true the user gets a toast, a chime and (if allowed) a browser notification with 'message'.",
+    "'when' uses the same formula language as Computed. Typical rules:",
+    " - timer done: \"finished(tea_timer)\"",
+    " - target reached: \"glasses >= 8\" or \"spent > budget\"",
+    " - list complete: \"all_checked(items)\"",
+    "It fires once, and again only after the condition has been false. Optional \"sound\": false for a silent alert."
+  ]
+};
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import { Plus, CheckSquare, Square as SquareIcon, X, Edit2 } from 'lucide-react';
+
+// Row actions fade in on hover for mouse users, but stay visible on touch screens and
+// whenever keyboard focus is inside the row.
+const ROW_ACTIONS = 'flex items-center gap-1 transition-opacity [@media(hover:hover)]:opacity-0 group-hover:opacity-100 group-focus-within:opacity-100';
+
+// CHECKLIST (The Fix: Default key to 'items')
+// Items are real checkboxes inside labels, so Space toggles them and screen readers
+// hear "checked"; the icons are only the look.
+const Checklist = ({ items_key, data, onAction }) => {
+  // CRITICAL FIX: Default to 'items' if items_key is missing
+  const safeKey = items_key || 'items';
+  const items = (data && data[safeKey]) ? data[safeKey] : [];
+  
+  const [newItem, setNewItem] = useState('');
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editValue, setEditValue] = useState('');
+  // Where focus goes once an edit closes or an item is deleted: an item's checkbox, or 'input'.
+  const [focusTarget, setFocusTarget] = useState(null);
+  const inputRef = useRef(null);
+  const uid = useId();
+  const checkboxId = (index) => `${uid}-item-${index}`;
+
+  useEffect(() => {
+    if (focusTarget === null) return;
+    const el = focusTarget === 'input' ? inputRef.current : document.getElementById(checkboxId(focusTarget));
+    if (el) el.focus();
+    setFocusTarget(null);
+  }, [focusTarget]);
+
+  const addItem = () => {
+    if (!newItem.trim()) return;
+    onAction('ADD_CHECKLIST_ITEM', { key: safeKey, value: newItem });
+    setNewItem('');
+  };
+
+  const closeEdit = (index, save) => {
+    if (save) onAction('EDIT_CHECKLIST_ITEM', { key: safeKey, index, value: editValue });
+    setEditingIndex(null);
+    setFocusTarget(index);
+  };
+
+  const deleteItem = (index) => {
+    onAction('DELETE_CHECKLIST_ITEM', { key: safeKey, index });
+    setFocusTarget(items.length > 1 ? Math.min(index, items.length - 2) : 'input');
+  };
+
+  return (
+    <div className="bg-white rounded-3xl shadow-sm border border-slate-100 overflow-hidden">
+      {/* Input Area */}
+      <div className="p-4 border-b border-slate-50 flex gap-2">
+        <input 
+          ref={inputRef}
+          aria-label="New item"
+          className="flex-1 bg-slate-50 rounded-xl px-4 py-3 font-medium focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+          placeholder="Add item..."
+          value={newItem}
+          onChange={(e) => setNewItem(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') addItem(); }}
+        />
+        <button 
+          onClick={addItem}
+          aria-label="Add item"
+          className="bg-blue-600 text-white p-3 rounded-xl hover:bg-blue-700 motion-safe:active:scale-95 transition-all"
+        >
+          <Plus size={20} aria-hidden="true" />
+        </button>
+      </div>
+
+      {/* List Items */}
+      <ul className="divide-y divide-slate-50 max-h-96 overflow-y-auto">
+        {items.map((item, idx) => (
+          <li key={item.id ?? idx} className="p-4 flex items-center gap-3 group hover:bg-slate-50 transition-colors">
+            {editingIndex === idx ? (
+              <div className="flex-1 flex gap-2">
+                <input 
+                  aria-label={`Edit ${item.label}`}
+                  className="flex-1 bg-white border border-blue-300 rounded px-2 py-1 text-sm focus:outline-none"
+                  value={editValue} onChange={(e) => setEditValue(e.target.value)} autoFocus
+                  onKeyDown={(e) => { if (e.key === 'Enter') closeEdit(idx, true); if (e.key === 'Escape') closeEdit(idx, false); }}
+                />
+                <button onClick={() => closeEdit(idx, true)} className="text-blue-600 text-xs font-bold">SAVE</button>
+              </div>
+            ) : (
+              <label className="flex-1 flex items-center gap-3 cursor-pointer min-w-0">
+                <input 
+                  id={checkboxId(idx)}
+                  type="checkbox" 
+                  className="peer sr-only" 
+                  checked={!!item.checked} 
+                  onChange={() => onAction('TOGGLE_CHECKLIST_ITEM', { key: safeKey, index: idx })} 
+                />
+                <span aria-hidden="true" className="shrink-0 rounded-md peer-focus-visible:ring-2 peer-focus-visible:ring-blue-500">
+                  {item.checked ? <CheckSquare className="text-green-500" size={24} /> : <SquareIcon className="text-slate-300" size={24} />}
+                </span>
+                <span className={`flex-1 font-medium select-none ${item.checked ? 'text-slate-400 line-through' : 'text-slate-700'}`}>{item.label}</span>
+              </label>
+            )}
+
+            {editingIndex !== idx && (
+              <div className={ROW_ACTIONS}>
+                <button onClick={() => { setEditingIndex(idx); setEditValue(item.label); }} aria-label={`Edit ${item.label}`} className="text-slate-300 hover:text-blue-500 focus-visible:text-blue-500 p-2"><Edit2 size={16} aria-hidden="true" /></button>
+                <button onClick={() => deleteItem(idx)} aria-label={`Delete ${item.label}`} className="text-slate-300 hover:text-red-500 focus-visible:text-red-500 p-2"><X size={16} aria-hidden="true" /></button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      {items.length === 0 && <div className="p-8 text-center text-slate-400 text-sm">List is empty</div>}
+    </div>
+  );
+};
+
+export default {
+  type: 'Checklist',
+  component: Checklist,
+  props: {
+    items_key: { 
+      type: 'string', 
+      binds: 'array', 
+      fallback: 'items',
+      items: { label: { type: 'string' }, checked: { type: 'boolean' }, id: { type: 'number' } }
+    }
+  },
+  actions: ['ADD_CHECKLIST_ITEM', 'TOGGLE_CHECKLIST_ITEM', 'DELETE_CHECKLIST_ITEM', 'EDIT_CHECKLIST_ITEM'],
+  prompt: [
+    "A list of items with checkboxes mapped to an array in 'initial_state'.",
+    "Each item is { \"label\": \"string\", \"checked\": false }. The user can add, edit and remove items themselves."
+  ]
+};
@@ -0,0 +1,31 @@
+import React, { useState, useId } from 'react';
+import { ChevronDown } from 'lucide-react';
+
+// COLLAPSIBLE (a titled section that folds away)
+const Collapsible = ({ title, open = false, children, renderBlocks }) => {
+  const [isOpen, setIsOpen] = useState(!!open);
+  const panelId = useId();
+  return (
+    <section className="bg-white rounded-3xl border border-slate-100 shadow-sm mb-4 overflow-hidden">
+      <button onClick={() => setIsOpen(!isOpen)} aria-expanded={isOpen} aria-controls={panelId} className="w-full flex justify-between items-center px-6 py-4 font-bold text-slate-700 hover:bg-slate-50 transition-colors">
+        {title}
+        <ChevronDown size={20} aria-hidden="true" className={`text-slate-400 motion-safe:transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+      {isOpen && <div id={panelId} className="px-4 pb-4 space-y-3">{renderBlocks(children, 'collapsible')}</div>}
+    </section>
+  );
+};
+
+export default {
+  type: 'Collapsible',
+  component: Collapsible,
+  props: {
+    title: { type: 'string' },
+    open: { type: 'boolean', optional: true },
+    children: { type: 'blocks' }
+  },
+  actions: [],
+  prompt: [
+    "A section that folds away, for secondary controls or details. Optional \"open\": true starts it expanded."
+  ]
+};
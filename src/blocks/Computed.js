@@ -0,0 +1,20 @@
+// COMPUTED (No UI: declares a derived value other blocks can display)
+// The value itself is worked out by engine/formula on every render and after every action.
+const Computed = () => null;
+
+export default {
+  type: 'Computed',
+  component: Computed,
+  props: {
+    name: { type: 'string' },
+    expr: { type: 'string' }
+  },
+  actions: [],
+  prompt: [
+    "An invisible derived value, e.g. { \"name\": \"remaining\", \"expr\": \"budget - spent\" }.",
+    "Use 'name' anywhere a 'value_key' is accepted (HeroStat, TrendChart, DailyBars). Do NOT put it in 'initial_state' and do NOT target it with actions.",
+    "'expr' may use numbers, state keys, other computed names, + - * / %, < <= > >= == !=, && || !, cond ? a : b and parentheses.",
+    "Functions: count(list), checked(list), unchecked(list), percent(part, whole), min(...), max(...), round(x, digits), floor, ceil, abs, remaining(timer), elapsed(timer) (seconds), finished(timer), running(timer), all_checked(list).",
+    "Example progress bar value: \"percent(checked(tasks), count(tasks))\"."
+  ]
+};
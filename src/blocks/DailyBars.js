@@ -0,0 +1,57 @@
+import React from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, ReferenceLine } from 'recharts';
+import { bucketize, streak, average, PERIODS } from '../engine/series';
+
+// DAILY BARS (how much a counter went up per period, with streak and average)
+const DailyBars = ({ label, value_key, period = 'day', range = 7, series }) => {
+  const buckets = bucketize(series && series[value_key], period, range);
+  const avg = average(buckets);
+  const noun = PERIODS.includes(period) ? period : 'day';
+  return (
+    <div className="p-6 bg-white rounded-3xl shadow-sm border border-slate-100 mb-4">
+      <div className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-4">{label}</div>
+      <div className="h-40" role="img" aria-label={`${label}: ${buckets.map(b => `${b.label} ${b.delta}`).join(', ')}`}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={buckets} margin={{ top: 4, right: 4, left: -24, bottom: 0 }}>
+            <XAxis dataKey="label" tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} />
+            <YAxis allowDecimals={false} tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} />
+            <Tooltip cursor={{ fill: '#f1f5f9' }} />
+            <ReferenceLine y={avg} stroke="#94a3b8" strokeDasharray="4 4" />
+            <Bar dataKey="delta" name={label} fill="#2563eb" radius={[6, 6, 0, 0]} isAnimationActive={false} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="flex justify-around mt-4 text-center">
+        <div>
+          <div className="text-2xl font-black text-slate-900">{streak(buckets)}</div>
+          <div className="text-xs text-slate-400">{noun} streak</div>
+        </div>
+        <div>
+          <div className="text-2xl font-black text-slate-900">{Math.round(avg * 10) / 10}</div>
+          <div className="text-xs text-slate-400">avg / {noun}</div>
+        </div>
+        <div>
+          <div className="text-2xl font-black text-slate-900">{buckets.reduce((sum, b) => sum + b.delta, 0)}</div>
+          <div className="text-xs text-slate-400">last {buckets.length} {noun}s</div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default {
+  type: 'DailyBars',
+  component: DailyBars,
+  props: {
+    label: { type: 'string' },
+    value_key: { type: 'string', binds: 'number' },
+    period: { type: 'string', enum: PERIODS },
+    range: { type: 'number', optional: true }
+  },
+  actions: [],
+  prompt: [
+    "Bars showing how much a counter went up in each period, plus current streak and average.",
+    "'period' is \"hour\", \"day\" or \"week\"; optional 'range' is how many periods to show (default 7).",
+    "Great under an Accumulator's HeroStat (e.g. glasses of water per day this week)."
+  ]
+};
@@ -0,0 +1,22 @@
+import React from 'react';
+
+// GROUP (a titled section)
+const Group = ({ title, children, renderBlocks }) => (
+  <section className="bg-slate-50 rounded-3xl p-4 border border-slate-200/60 mb-4">
+    {title && <h3 className="text-xs font-bold text-slate-500 uppercase tracking-widest mb-3 px-2">{title}</h3>}
+    <div className="space-y-3">{renderBlocks(children, 'group')}</div>
+  </section>
+);
+
+export default {
+  type: 'Group',
+  component: Group,
+  props: {
+    title: { type: 'string' },
+    children: { type: 'blocks' }
+  },
+  actions: [],
+  prompt: [
+    "A titled section holding related blocks (e.g. one per category of a packing list)."
+  ]
+};
@@ -0,0 +1,35 @@
+import React from 'react';
+
+// Computed values can be fractions, flags or null (a broken formula).
+const display = (value) => {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number' && !Number.isInteger(value)) return Math.round(value * 100) / 100;
+  return value;
+};
+
+// HERO STAT (Safe handling for missing data)
+// A polite live region: screen readers hear "Coffees Today 5" when the number changes.
+const HeroStat = ({ label, value_key, data }) => {
+  const value = display(data && data[value_key] !== undefined ? data[value_key] : 0);
+  return (
+    <div role="status" aria-live="polite" aria-atomic="true" className="text-center p-8 bg-white rounded-3xl shadow-sm border border-slate-100 mb-4 motion-safe:animate-in motion-safe:zoom-in-50">
+      <div className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-2">{label}</div>
+      <div className="text-6xl font-black text-slate-900 tracking-tighter">{value}</div>
+    </div>
+  );
+};
+
+export default {
+  type: 'HeroStat',
+  component: HeroStat,
+  props: {
+    label: { type: 'string' },
+    value_key: { type: 'string', binds: 'number' }
+  },
+  actions: [],
+  prompt: [
+    "A large, prominent display of a single data point.",
+    "'value_key' maps to a key in 'initial_state'."
+  ]
+};
@@ -0,0 +1,59 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Typing pauses this long before the text is written to app state.
+const AUTOSAVE_MS = 600;
+
+// NOTE AREA (multiline text bound to a state key, autosaved)
+const NoteArea = ({ label, text_key, placeholder, data, onAction }) => {
+  const saved = data && typeof data[text_key] === 'string' ? data[text_key] : '';
+  const [draft, setDraft] = useState(saved);
+  const dirty = draft !== saved;
+  const timer = useRef(null);
+  // The parent hands us a fresh onAction every render; don't let that restart the timer.
+  const onActionRef = useRef(onAction);
+  onActionRef.current = onAction;
+
+  // Follow outside changes (undo, reset) unless the user is mid-edit.
+  const editing = useRef(false);
+  useEffect(() => { if (!editing.current) setDraft(saved); }, [saved]);
+
+  useEffect(() => {
+    if (!dirty) { editing.current = false; return; }
+    editing.current = true;
+    clearTimeout(timer.current);
+    timer.current = setTimeout(() => onActionRef.current('SET_TEXT', { key: text_key, value: draft }), AUTOSAVE_MS);
+    return () => clearTimeout(timer.current);
+  }, [draft, dirty, text_key]);
+
+  return (
+    <div className="p-4 bg-white rounded-3xl shadow-sm border border-slate-100 mb-4">
+      <div className="flex justify-between items-center px-2 mb-2">
+        <div className="text-xs font-bold text-slate-400 uppercase tracking-widest">{label}</div>
+        <div className="text-xs text-slate-300">{dirty ? 'Saving…' : 'Saved'}</div>
+      </div>
+      <textarea 
+        aria-label={label}
+        className="w-full min-h-[12rem] bg-slate-50 rounded-2xl p-4 text-slate-700 resize-y focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+        placeholder={placeholder || 'Start writing...'}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => { if (dirty) { clearTimeout(timer.current); onAction('SET_TEXT', { key: text_key, value: draft }); } }}
+      />
+    </div>
+  );
+};
+
+export default {
+  type: 'NoteArea',
+  component: NoteArea,
+  props: {
+    label: { type: 'string' },
+    text_key: { type: 'string', binds: 'string' },
+    placeholder: { type: 'string', optional: true }
+  },
+  actions: ['SET_TEXT'],
+  prompt: [
+    "A large multiline text area for free writing, saved automatically to a string in 'initial_state'.",
+    "Optional 'placeholder' nudges what to write."
+  ]
+};
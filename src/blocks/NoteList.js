@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+
+// Delete is hover-only where there is a mouse; touch and keyboard users always get it.
+const DELETE_REVEAL = '[@media(hover:hover)]:opacity-0 group-hover:opacity-100 focus-visible:opacity-100';
+
+// NOTE LIST (quick timestamped thoughts, newest first)
+const NoteList = ({ label, items_key, placeholder, data, onAction }) => {
+  const key = items_key || 'notes';
+  const notes = data && Array.isArray(data[key]) ? data[key] : [];
+  const [text, setText] = useState('');
+
+  const capture = () => {
+    if (!text.trim()) return;
+    onAction('ADD_NOTE', { key, value: text });
+    setText('');
+  };
+
+  return (
+    <div className="bg-white rounded-3xl shadow-sm border border-slate-100 overflow-hidden mb-4">
+      {label && <div className="px-6 pt-4 text-xs font-bold text-slate-400 uppercase tracking-widest">{label}</div>}
+      <div className="p-4 border-b border-slate-50 flex gap-2">
+        <input 
+          aria-label={label || 'New note'}
+          className="flex-1 bg-slate-50 rounded-xl px-4 py-3 font-medium focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+          placeholder={placeholder || 'Capture a thought...'}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') capture(); }}
+        />
+        <button onClick={capture} aria-label="Add note" className="bg-blue-600 text-white p-3 rounded-xl hover:bg-blue-700 motion-safe:active:scale-95 transition-all"><Plus size={20} aria-hidden="true" /></button>
+      </div>
+      <ul className="divide-y divide-slate-50 max-h-96 overflow-y-auto">
+        {notes.map((note, idx) => ({ note, idx })).reverse().map(({ note, idx }) => (
+          <li key={note.id || idx} className="p-4 flex items-start gap-3 group">
+            <div className="flex-1">
+              <div className="text-slate-700 whitespace-pre-wrap">{note.text}</div>
+              {note.at && <div className="text-xs text-slate-400 mt-1">{new Date(note.at).toLocaleString()}</div>}
+            </div>
+            <button onClick={() => onAction('DELETE_NOTE', { key, index: idx })} aria-label={`Delete note: ${note.text}`} className={`text-slate-300 hover:text-red-500 focus-visible:text-red-500 p-1 transition-opacity ${DELETE_REVEAL}`}><X size={16} aria-hidden="true" /></button>
+          </li>
+        ))}
+      </ul>
+      {notes.length === 0 && <div className="p-8 text-center text-slate-400 text-sm">Nothing captured yet</div>}
+    </div>
+  );
+};
+
+export default {
+  type: 'NoteList',
+  component: NoteList,
+  props: {
+    label: { type: 'string' },
+    items_key: { 
+      type: 'string', 
+      binds: 'array', 
+      fallback: 'notes',
+      items: { text: { type: 'string' }, at: { type: 'number' }, id: { type: 'number' } }
+    },
+    placeholder: { type: 'string', optional: true }
+  },
+  actions: ['ADD_NOTE', 'DELETE_NOTE'],
+  prompt: [
+    "A capture box plus a timestamped list of short thoughts, newest first, mapped to an array in 'initial_state'.",
+    "Start it empty ([]) unless the user gave you thoughts to seed it with ({ \"text\": \"string\" })."
+  ]
+};
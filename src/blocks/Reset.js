@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { scheduleOf, describeSchedule } from '../engine/periods';
+
+// RESET (when the app starts over, plus the periods it has archived)
+// The rollover itself happens in engine/periods, whether or not the app is open.
+export const SCHEDULES = ['day', 'week', 'manual'];
+
+// Date#getDay order.
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const SHOWN_PERIODS = 5;
+
+const humanize = (key) => key.replace(/_/g, ' ');
+
+const formatValue = (v) => typeof v === 'boolean' ? (v ? 'Yes' : 'No') : Math.round(v * 100) / 100;
+
+const dayLabel = (t) => new Date(t).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+const periodLabel = (period, every) => every === 'day'
+  ? dayLabel(period.start)
+  : `${dayLabel(period.start)} – ${dayLabel(period.end - 1)}`;
+
+const Reset = ({ every, at, weekday, periods, onAction }) => {
+  const [confirming, setConfirming] = useState(false);
+  const schedule = scheduleOf({ every, at, weekday });
+  const recent = (periods || []).slice(-SHOWN_PERIODS).reverse();
+
+  const startNewPeriod = () => {
+    if (!confirming) return setConfirming(true);
+    setConfirming(false);
+    onAction('END_PERIOD', {});
+  };
+
+  return (
+    <div className="p-5 bg-white rounded-3xl shadow-sm border border-slate-100">
+      <div className="flex items-center justify-between gap-3">
+        <div className="text-xs text-slate-400">Starts over {describeSchedule(schedule)}</div>
+        <button
+          onClick={startNewPeriod}
+          onBlur={() => setConfirming(false)}
+          className={`flex items-center gap-1 text-xs font-bold px-3 py-1.5 rounded-full transition-colors ${confirming ? 'bg-red-50 text-red-600' : 'bg-slate-100 text-slate-500 hover:text-blue-600'}`}
+        >
+          <RotateCcw size={12} aria-hidden="true"/> {confirming ? 'Archive and reset?' : 'New period'}
+        </button>
+      </div>
+      {recent.length > 0 && (
+        <ul aria-label="Past periods" className="mt-4 space-y-2">
+          {recent.map(period => (
+            <li key={period.end} className="flex justify-between gap-3 text-sm">
+              <span className="text-slate-500 shrink-0">{periodLabel(period, schedule && schedule.every)}</span>
+              <span className="text-slate-800 font-medium text-right truncate">
+                {[
+                  ...Object.entries(period.values || {}).map(([key, v]) => `${humanize(key)} ${formatValue(v)}`),
+                  ...Object.entries(period.checklists || {}).map(([key, c]) => `${humanize(key)} ${c.done}/${c.total}`)
+                ].join(' · ') || '—'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default {
+  type: 'Reset',
+  component: Reset,
+  props: {
+    every: { type: 'string', enum: SCHEDULES },
+    at: { type: 'string', optional: true },
+    weekday: { type: 'string', enum: WEEKDAYS, optional: true }
+  },
+  actions: ['END_PERIOD'],
+  prompt: [
+    "Makes the tool start over on a schedule: the outgoing period's numbers and checklist progress are archived (and listed here), then everything returns to 'initial_state'.",
+    "'every' is \"day\", \"week\" or \"manual\" (only when the user presses New period). Optional 'at' is the local time \"HH:MM\" (default \"00:00\"); optional 'weekday' (\"monday\" ... \"sunday\", default \"monday\") for weekly resets.",
+    "Use it whenever a label says today, per day, this week and so on (\"Coffees Today\" -> { \"type\": \"Reset\", \"every\": \"day\" }). At most one per tool."
+  ]
+};
@@ -0,0 +1,20 @@
+import React from 'react';
+
+// ROW (children side by side, sharing the width equally)
+const Row = ({ children, renderBlocks }) => (
+  <div className="flex gap-3 items-stretch [&>*]:flex-1 [&>*]:min-w-0">
+    {renderBlocks(children, 'row')}
+  </div>
+);
+
+export default {
+  type: 'Row',
+  component: Row,
+  props: {
+    children: { type: 'blocks' }
+  },
+  actions: [],
+  prompt: [
+    "Lays 2-3 small blocks side by side (e.g. \"-1\" and \"+1\" buttons, two HeroStats)."
+  ]
+};
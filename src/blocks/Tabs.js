@@ -0,0 +1,75 @@
+import React, { useState, useRef, useId } from 'react';
+
+// Arrow keys move between tabs (and select them); Home/End jump to the ends.
+const KEY_STEPS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+// TABS (one section visible at a time)
+// The ARIA tabs pattern: only the selected tab is in the Tab order, the rest are
+// reached with the arrow keys.
+const Tabs = ({ tabs, renderBlocks }) => {
+  const sections = Array.isArray(tabs) ? tabs : [];
+  const [active, setActive] = useState(0);
+  const selected = Math.min(active, sections.length - 1);
+  const current = sections[selected];
+  const uid = useId();
+  const buttons = useRef([]);
+
+  const select = (i) => {
+    setActive(i);
+    if (buttons.current[i]) buttons.current[i].focus();
+  };
+
+  const onKeyDown = (e) => {
+    const last = sections.length - 1;
+    let next = null;
+    if (KEY_STEPS[e.key]) next = (selected + KEY_STEPS[e.key] + sections.length) % sections.length;
+    if (e.key === 'Home') next = 0;
+    if (e.key === 'End') next = last;
+    if (next === null) return;
+    e.preventDefault();
+    select(next);
+  };
+
+  return (
+    <div className="mb-4">
+      <div role="tablist" onKeyDown={onKeyDown} className="flex gap-1 bg-slate-200/60 rounded-2xl p-1 mb-4">
+        {sections.map((tab, i) => (
+          <button 
+            key={i} 
+            ref={el => { buttons.current[i] = el; }}
+            role="tab"
+            id={`${uid}-tab-${i}`}
+            aria-selected={i === selected}
+            aria-controls={`${uid}-panel`}
+            tabIndex={i === selected ? 0 : -1}
+            onClick={() => setActive(i)}
+            className={`flex-1 py-2 rounded-xl text-sm font-bold transition-colors ${i === selected ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+          >
+            {tab.title}
+          </button>
+        ))}
+      </div>
+      {current && (
+        <div role="tabpanel" id={`${uid}-panel`} aria-labelledby={`${uid}-tab-${selected}`} className="space-y-3">
+          {renderBlocks(current.children, `tab-${selected}`)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default {
+  type: 'Tabs',
+  component: Tabs,
+  props: {
+    tabs: { 
+      type: 'array', 
+      items: { type: 'object', properties: { title: { type: 'string' }, children: { type: 'blocks' } } } 
+    }
+  },
+  actions: [],
+  prompt: [
+    "Splits a tool into 2-4 views, one visible at a time (e.g. \"Today\" and \"History\").",
+    "Every block stays bound to the same state whichever tab is showing."
+  ]
+};
@@ -0,0 +1,58 @@
+import React from 'react';
+
+// Just enough markdown for instructions and prompts: '# ' headings, '- ' bullets,
+// **bold**, *italic* and `code`. Builds elements directly, never HTML strings.
+const INLINE = /(\*\*[^*]+\*\*|\*[^*]+\*|`[^`]+`)/g;
+
+const renderInline = (text) => text.split(INLINE).map((part, i) => {
+  if (/^\*\*[^*]+\*\*$/.test(part)) return <strong key={i}>{part.slice(2, -2)}</strong>;
+  if (/^\*[^*]+\*$/.test(part)) return <em key={i}>{part.slice(1, -1)}</em>;
+  if (/^`[^`]+`$/.test(part)) return <code key={i} className="bg-slate-100 rounded px-1 text-sm">{part.slice(1, -1)}</code>;
+  return part;
+});
+
+const renderMarkdown = (text) => {
+  const blocks = [];
+  let bullets = [];
+  const flushBullets = () => {
+    if (!bullets.length) return;
+    blocks.push(<ul key={blocks.length} className="list-disc pl-5 space-y-1">{bullets.map((b, i) => <li key={i}>{renderInline(b)}</li>)}</ul>);
+    bullets = [];
+  };
+
+  String(text || '').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (/^[-*] /.test(trimmed)) { bullets.push(trimmed.slice(2)); return; }
+    flushBullets();
+    if (!trimmed) return;
+    if (trimmed.startsWith('#')) {
+      blocks.push(<div key={blocks.length} className="font-bold text-slate-900 text-lg">{renderInline(trimmed.replace(/^#+\s*/, ''))}</div>);
+    } else {
+      blocks.push(<p key={blocks.length}>{renderInline(trimmed)}</p>);
+    }
+  });
+  flushBullets();
+  return blocks;
+};
+
+// TEXT BLOCK (static text written by the model)
+const TextBlock = ({ label, text }) => (
+  <div className="p-6 bg-white rounded-3xl shadow-sm border border-slate-100 mb-4 text-slate-700 space-y-2">
+    {label && <div className="text-xs font-bold text-slate-400 uppercase tracking-widest">{label}</div>}
+    {renderMarkdown(text)}
+  </div>
+);
+
+export default {
+  type: 'TextBlock',
+  component: TextBlock,
+  props: {
+    label: { type: 'string', optional: true },
+    text: { type: 'string' }
+  },
+  actions: [],
+  prompt: [
+    "Static text: instructions, a prompt to think about, a framework. Not editable.",
+    "'text' supports '# ' headings, '- ' bullets, **bold**, *italic* and `code`. Use \\n for new lines."
+  ]
+};
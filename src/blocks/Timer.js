@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { Play, Pause, RotateCcw, Flag } from 'lucide-react';
+import { isTimer, isRunning, isFinished, displayMs, formatDuration } from '../engine/timers';
+
+// How often a running timer repaints. The value itself comes from the clock, so this
+// only affects smoothness, never accuracy.
+const REPAINT_MS = 250;
+
+// TIMER (countdown or stopwatch, state is a timer object from engine/timers)
+const Timer = ({ label, timer_key, controls = true, data, onAction }) => {
+  const timer = data && data[timer_key];
+  const now = Date.now();
+  const running = isRunning(timer);
+  const finished = isFinished(timer, now);
+  const [, repaint] = useState(0);
+
+  useEffect(() => {
+    if (!running || finished) return;
+    const t = setInterval(() => repaint(n => n + 1), REPAINT_MS);
+    return () => clearInterval(t);
+  }, [running, finished]);
+
+  if (!isTimer(timer)) return <div className="text-red-500 text-xs">Timer '{timer_key}' is missing</div>;
+
+  const payload = { key: timer_key };
+  // Read out on state changes only (start, pause, done, reset), never every tick.
+  const status = finished ? `${label}: done`
+    : running ? `${label} running`
+    : timer.elapsed > 0 ? `${label} paused at ${formatDuration(displayMs(timer, now))}`
+    : `${label} ready, ${formatDuration(displayMs(timer, now))}`;
+
+  return (
+    <div className={`text-center p-8 rounded-3xl shadow-sm border mb-4 transition-colors ${finished ? 'bg-green-50 border-green-200' : 'bg-white border-slate-100'}`}>
+      <div className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-2">{label}</div>
+      <div role="timer" className={`text-6xl font-black tracking-tighter tabular-nums ${finished ? 'text-green-600' : 'text-slate-900'}`}>
+        {finished ? 'Done' : formatDuration(displayMs(timer, now))}
+      </div>
+      <div role="status" className="sr-only">{status}</div>
+
+      {controls && (
+        <div className="flex justify-center gap-3 mt-6">
+          <button 
+            onClick={() => onAction(running ? 'STOP_TIMER' : 'START_TIMER', payload)}
+            className="bg-slate-900 text-white px-6 py-3 rounded-2xl font-bold flex items-center gap-2 motion-safe:active:scale-95 transition-all"
+          >
+            {running ? <><Pause size={18} fill="currentColor" aria-hidden="true"/> Pause</> : <><Play size={18} fill="currentColor" aria-hidden="true"/> {timer.elapsed > 0 && !finished ? 'Resume' : 'Start'}</>}
+          </button>
+          {timer.mode === 'stopwatch' && running && (
+            <button onClick={() => onAction('LAP_TIMER', payload)} className="bg-slate-100 text-slate-700 px-4 py-3 rounded-2xl font-bold flex items-center gap-2 motion-safe:active:scale-95 transition-all"><Flag size={18} aria-hidden="true"/> Lap</button>
+          )}
+          <button onClick={() => onAction('RESET_TIMER', payload)} aria-label={`Reset ${label}`} className="bg-slate-100 text-slate-700 px-4 py-3 rounded-2xl font-bold motion-safe:active:scale-95 transition-all"><RotateCcw size={18} aria-hidden="true"/></button>
+        </div>
+      )}
+
+      {timer.laps && timer.laps.length > 0 && (
+        <ol aria-label={`${label} laps`} className="mt-4 text-sm text-slate-500 space-y-1 tabular-nums">
+          {timer.laps.map((lap, i) => (
+            <li key={i}>Lap {i + 1}: {formatDuration(lap - (i > 0 ? timer.laps[i - 1] : 0))}</li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default {
+  type: 'Timer',
+  component: Timer,
+  props: {
+    label: { type: 'string' },
+    timer_key: { type: 'string', binds: 'timer' },
+    mode: { type: 'string', enum: ['countdown', 'stopwatch'] },
+    duration: { type: 'number' },
+    controls: { type: 'boolean', optional: true }
+  },
+  actions: ['START_TIMER', 'STOP_TIMER', 'RESET_TIMER', 'LAP_TIMER'],
+  prompt: [
+    "A live countdown or stopwatch with its own Start/Pause/Reset (and Lap for stopwatches) controls.",
+    "'duration' is in seconds (countdowns only). Each Timer needs its own 'timer_key'; an app may have several.",
+    "The timer state is created automatically — do NOT put timer keys in 'initial_state'.",
+    "Set \"controls\": false only if you add your own START_TIMER/STOP_TIMER buttons with { \"key\": timer_key }."
+  ]
+};
@@ -0,0 +1,31 @@
+import React from 'react';
+import { ToggleLeft, ToggleRight } from 'lucide-react';
+
+// TOGGLE (a switch: announced as on/off rather than as a plain button)
+const Toggle = ({ label, state_key, data, onAction }) => {
+  const on = !!(data && data[state_key]);
+  return (
+    <button 
+      role="switch"
+      aria-checked={on}
+      onClick={() => onAction('TOGGLE_STATE', { key: state_key })}
+      className="w-full p-5 bg-white rounded-2xl shadow-sm border border-slate-100 flex items-center justify-between transition-colors hover:bg-slate-50"
+    >
+      <span className="font-bold text-slate-700">{label}</span>
+      {on ? <ToggleRight size={36} className="text-green-500" aria-hidden="true" /> : <ToggleLeft size={36} className="text-slate-300" aria-hidden="true" />}
+    </button>
+  );
+};
+
+export default {
+  type: 'Toggle',
+  component: Toggle,
+  props: {
+    label: { type: 'string' },
+    state_key: { type: 'string', binds: 'boolean' }
+  },
+  actions: ['TOGGLE_STATE'],
+  prompt: [
+    "An on/off switch mapped to a boolean in 'initial_state'."
+  ]
+};
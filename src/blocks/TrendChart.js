@@ -0,0 +1,40 @@
+import React from 'react';
+import { ResponsiveContainer, AreaChart, Area, XAxis, YAxis, Tooltip } from 'recharts';
+import { bucketize, PERIODS } from '../engine/series';
+
+// TREND CHART (value of a key at the end of each period)
+const TrendChart = ({ label, value_key, period = 'day', range = 7, series }) => {
+  const buckets = bucketize(series && series[value_key], period, range);
+  return (
+    <div className="p-6 bg-white rounded-3xl shadow-sm border border-slate-100 mb-4">
+      <div className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-4">{label}</div>
+      <div className="h-40" role="img" aria-label={`${label}: ${buckets.map(b => `${b.label} ${b.value}`).join(', ')}`}>
+        <ResponsiveContainer width="100%" height="100%">
+          <AreaChart data={buckets} margin={{ top: 4, right: 4, left: -24, bottom: 0 }}>
+            <XAxis dataKey="label" tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} />
+            <YAxis allowDecimals={false} tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} />
+            <Tooltip />
+            <Area type="monotone" dataKey="value" name={label} stroke="#2563eb" fill="#dbeafe" strokeWidth={2} isAnimationActive={false} />
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default {
+  type: 'TrendChart',
+  component: TrendChart,
+  props: {
+    label: { type: 'string' },
+    value_key: { type: 'string', binds: 'number' },
+    period: { type: 'string', enum: PERIODS },
+    range: { type: 'number', optional: true }
+  },
+  actions: [],
+  prompt: [
+    "A line chart of how a numeric key has moved over time (its value at the end of each period).",
+    "'period' is \"hour\", \"day\" or \"week\"; optional 'range' is how many periods to show (default 7).",
+    "Use for Regulator-style values (budget left, weight, balance)."
+  ]
+};
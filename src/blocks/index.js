@@ -0,0 +1,104 @@
+import HeroStat from './HeroStat';
+import ActionButton from './ActionButton';
+import Toggle from './Toggle';
+import Checklist from './Checklist';
+import Timer from './Timer';
+import TrendChart from './TrendChart';
+import DailyBars from './DailyBars';
+import TextBlock from './TextBlock';
+import NoteArea from './NoteArea';
+import NoteList from './NoteList';
+import Row from './Row';
+import Group from './Group';
+import Tabs from './Tabs';
+import Collapsible from './Collapsible';
+import Computed from './Computed';
+import Alert from './Alert';
+import Reset from './Reset';
+
+// --- THE BLOCK CATALOG ---
+// The single source of truth for UI blocks. Each entry declares:
+//   type      - the name the model writes in the blueprint
+//   component - the React component the renderer mounts; it receives the block's props
+//               plus data, series (see engine/series), periods (see engine/periods)
+//               and onAction
+//   props     - { name: { type, enum?, optional?, binds?, fallback?, items?, properties? } }
+//               'binds' marks a prop whose value is a state key of that kind
+//               ('number' | 'boolean' | 'string' | 'array' | 'timer').
+//               type 'blocks' is a nested list of child blocks (containers), also
+//               allowed as 'children' inside an array of sections (Tabs).
+//   actions   - the actions the block can dispatch
+//   prompt    - documentation lines for the system prompt
+// The system prompt, the Gemini response schema, the validator and the renderer are all
+// derived from this list, so a new block only needs a file here and an entry below.
+const BLOCKS = [
+  HeroStat, ActionButton, Toggle, Checklist, Timer, TrendChart, DailyBars,
+  TextBlock, NoteArea, NoteList, Row, Group, Tabs, Collapsible, Computed, Alert, Reset
+];
+
+export const BLOCK_CATALOG = Object.fromEntries(BLOCKS.map(b => [b.type, b]));
+
+export const BLOCK_TYPES = BLOCKS.map(b => b.type);
+
+export const getBlock = (type) => BLOCK_CATALOG[type];
+
+// [{ prop, type, fallback }] for every prop of this block type that names a state key.
+export const getStateBindings = (type) => {
+  const def = BLOCK_CATALOG[type];
+  if (!def) return [];
+  return Object.entries(def.props)
+    .filter(([, spec]) => spec.binds)
+    .map(([prop, spec]) => ({ prop, type: spec.binds, fallback: spec.fallback }));
+};
+
+// Every nested block list a block holds: its 'blocks' props plus the 'children' of
+// each section in a sectioned prop like Tabs' 'tabs'.
+const SECTIONED = (spec) => spec.type === 'array' && spec.items && spec.items.properties && spec.items.properties.children;
+
+export const isContainer = (type) => {
+  const def = BLOCK_CATALOG[type];
+  return !!def && Object.values(def.props).some(spec => spec.type === 'blocks' || SECTIONED(spec));
+};
+
+export const childListsOf = (block) => {
+  const def = block && BLOCK_CATALOG[block.type];
+  if (!def) return [];
+  const lists = [];
+  for (const [prop, spec] of Object.entries(def.props)) {
+    if (spec.type === 'blocks' && Array.isArray(block[prop])) lists.push(block[prop]);
+    if (SECTIONED(spec) && Array.isArray(block[prop])) {
+      block[prop].forEach(section => { if (section && Array.isArray(section.children)) lists.push(section.children); });
+    }
+  }
+  return lists;
+};
+
+// Depth-first visit of every block in a blueprint, containers included.
+export const walkBlocks = (blueprint, visit) => {
+  (Array.isArray(blueprint) ? blueprint : []).forEach(block => {
+    if (!block || typeof block !== 'object') return;
+    visit(block);
+    childListsOf(block).forEach(list => walkBlocks(list, visit));
+  });
+};
+
+const describeProp = (spec) => {
+  if (spec.type === 'blocks') return '[ ...blocks ]';
+  if (spec.type === 'array' && spec.items && spec.items.properties) {
+    return `[{ ${Object.entries(spec.items.properties).map(([name, s]) => `"${name}": ${describeProp(s)}`).join(', ')} }]`;
+  }
+  if (spec.type === 'object') return '{}';
+  if (spec.enum && spec.enum.length <= 3) return `"${spec.enum.join(' | ')}"`;
+  return `"${spec.type}"`;
+};
+
+// The "ALLOWED UI BLOCKS" section of the system prompt.
+export const describeBlocksForPrompt = () => BLOCKS.map((def, i) => {
+  const fields = Object.entries(def.props)
+    .filter(([, spec]) => !spec.optional)
+    .map(([name, spec]) => `"${name}": ${describeProp(spec)}`);
+  const signature = [`"type": "${def.type}"`, ...fields].join(', ');
+  // Lines that start indented are sub-bullets of the line before.
+  const notes = def.prompt.map(line => line.startsWith(' ') ? `    ${line}` : `    * ${line}`).join('\n');
+  return `${i + 1}.  **{ ${signature} }**\n${notes}`;
+}).join('\n\n');
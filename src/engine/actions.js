@@ -0,0 +1,216 @@
+import { isTimer, startTimer, pauseTimer, resetTimer, lapTimer } from './timers';
+
+// --- THE ACTION ENGINE ---
+// Pure reducer for app data: (data, action, payload, context) -> new data.
+// No React, no mutation: every handler returns a fresh object and never touches the
+// arrays/items it was given, so the previous state stays intact for React (and undo).
+//
+// Each registry entry declares:
+//   run(data, payload, context) - the pure handler; context is { initialState, now }
+//   binds  - { type, fallback? } when payload.key names a state key of that kind
+//   button - true if a blueprint ActionButton may use it (the rest are dispatched by blocks)
+//   doc    - one line for the system prompt
+
+export class ActionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ActionError';
+  }
+}
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return isNaN(n) ? 0 : n;
+};
+
+// Clamp to payload.min / payload.max when they are given.
+const clamp = (value, { min, max }) => {
+  let v = value;
+  if (typeof min === 'number' && v < min) v = min;
+  if (typeof max === 'number' && v > max) v = max;
+  return v;
+};
+
+const withTimer = (data, p, update) => {
+  if (!p.key || !isTimer(data[p.key])) throw new ActionError(`No timer under '${p.key}'`);
+  return { ...data, [p.key]: update(data[p.key]) };
+};
+
+const listAt = (data, key) => Array.isArray(data[key]) ? data[key] : [];
+
+const updateItem = (data, key, index, patch) => {
+  const list = listAt(data, key);
+  if (!list[index]) return data;
+  return { ...data, [key]: list.map((item, i) => i === index ? { ...item, ...patch(item) } : item) };
+};
+
+const ACTIONS = {
+  // >>> ACCUMULATOR LOGIC
+  INCREMENT_COUNT: {
+    binds: { type: 'number', fallback: 'count' },
+    button: true,
+    doc: '{ "key", "amount"?, "min"?, "max"? } adds amount (default 1).',
+    run: (data, p) => {
+      const key = p.key || 'count';
+      return { ...data, [key]: clamp(toNumber(data[key]) + (p.amount ?? 1), p) };
+    }
+  },
+  DECREMENT_COUNT: {
+    binds: { type: 'number', fallback: 'count' },
+    button: true,
+    doc: '{ "key", "amount"?, "min"?, "max"? } subtracts amount (default 1). Use "min": 0 to stop at zero.',
+    run: (data, p) => {
+      const key = p.key || 'count';
+      return { ...data, [key]: clamp(toNumber(data[key]) - (p.amount ?? 1), p) };
+    }
+  },
+  SET_VALUE: {
+    binds: { type: 'any' },
+    button: true,
+    doc: '{ "key", "value", "min"?, "max"? } sets a key to a fixed value (numbers are clamped).',
+    run: (data, p) => {
+      if (!p.key) throw new ActionError('SET_VALUE needs payload.key');
+      const current = data[p.key];
+      let value = p.value;
+      if (typeof current === 'number' || typeof p.min === 'number' || typeof p.max === 'number') value = clamp(toNumber(value), p);
+      else if (typeof current === 'boolean') value = value === true || value === 'true';
+      return { ...data, [p.key]: value };
+    }
+  },
+  TOGGLE_STATE: {
+    binds: { type: 'boolean' },
+    button: true,
+    doc: '{ "key" } flips a boolean.',
+    run: (data, p) => {
+      if (!p.key) throw new ActionError('TOGGLE_STATE needs payload.key');
+      return { ...data, [p.key]: !data[p.key] };
+    }
+  },
+  RESET_APP: {
+    button: true,
+    doc: '{} restores every key to its value in initial_state.',
+    run: (data, p, context) => {
+      if (!context.initialState) throw new ActionError('RESET_APP: this app has no initial_state');
+      return { ...context.initialState };
+    }
+  },
+
+  // >>> REGULATOR LOGIC
+  // Timers live under payload.key (see engine/timers). context.now keeps this pure.
+  START_TIMER: {
+    binds: { type: 'timer' },
+    button: true,
+    doc: '{ "key" } starts or resumes the timer stored under key.',
+    run: (data, p, context) => withTimer(data, p, timer => startTimer(timer, context.now))
+  },
+  STOP_TIMER: {
+    binds: { type: 'timer' },
+    button: true,
+    doc: '{ "key" } pauses the timer.',
+    run: (data, p, context) => withTimer(data, p, timer => pauseTimer(timer, context.now))
+  },
+  RESET_TIMER: {
+    binds: { type: 'timer' },
+    button: true,
+    doc: '{ "key", "initialValue"? } stops and rewinds the timer, optionally to a new duration in seconds.',
+    run: (data, p) => withTimer(data, p, timer => resetTimer(timer, p.initialValue))
+  },
+  LAP_TIMER: {
+    binds: { type: 'timer' },
+    button: true,
+    doc: '{ "key" } records a lap on a running stopwatch.',
+    run: (data, p, context) => withTimer(data, p, timer => lapTimer(timer, context.now))
+  },
+
+  // >>> CHECKLIST LOGIC
+  ADD_CHECKLIST_ITEM: {
+    run: (data, p) => {
+      const key = p.key || 'items';
+      return { ...data, [key]: [...listAt(data, key), { label: p.value || "New Item", checked: false, id: Date.now() }] };
+    }
+  },
+  TOGGLE_CHECKLIST_ITEM: {
+    run: (data, p) => updateItem(data, p.key || 'items', p.index, item => ({ checked: !item.checked }))
+  },
+  EDIT_CHECKLIST_ITEM: {
+    run: (data, p) => updateItem(data, p.key || 'items', p.index, () => ({ label: p.value }))
+  },
+  DELETE_CHECKLIST_ITEM: {
+    run: (data, p) => {
+      const key = p.key || 'items';
+      return { ...data, [key]: listAt(data, key).filter((_, i) => i !== p.index) };
+    }
+  },
+  CLEAR_CHECKED: {
+    binds: { type: 'array', fallback: 'items' },
+    button: true,
+    doc: '{ "key" } removes all checked items from a checklist.',
+    run: (data, p) => {
+      const key = p.key || 'items';
+      return { ...data, [key]: listAt(data, key).filter(item => !item.checked) };
+    }
+  },
+
+  // >>> DRAFTER LOGIC
+  SET_TEXT: {
+    run: (data, p) => {
+      if (!p.key) throw new ActionError('SET_TEXT needs payload.key');
+      return { ...data, [p.key]: String(p.value ?? '') };
+    }
+  },
+  ADD_NOTE: {
+    run: (data, p) => {
+      const key = p.key || 'notes';
+      const text = String(p.value ?? '').trim();
+      if (!text) return data;
+      return { ...data, [key]: [...listAt(data, key), { text, at: Date.now(), id: Date.now() }] };
+    }
+  },
+  DELETE_NOTE: {
+    run: (data, p) => {
+      const key = p.key || 'notes';
+      return { ...data, [key]: listAt(data, key).filter((_, i) => i !== p.index) };
+    }
+  },
+
+  // >>> COMPOSITE
+  // Runs every step against the running result; if any step fails the whole action
+  // fails and the caller keeps the original data.
+  COMPOSITE: {
+    button: true,
+    doc: '{ "steps": [{ "action", "payload" }, ...] } runs several actions as one (e.g. reset a timer and bump a round counter).',
+    run: (data, p, context) => {
+      if (!Array.isArray(p.steps) || p.steps.length === 0) throw new ActionError('COMPOSITE needs payload.steps');
+      return p.steps.reduce((acc, step) => {
+        if (step.action === 'COMPOSITE') throw new ActionError('COMPOSITE steps cannot nest');
+        return applyAction(acc, step.action, step.payload, context);
+      }, data);
+    }
+  }
+};
+
+export const registerAction = (name, definition) => {
+  ACTIONS[name] = definition;
+};
+
+// Own properties only, so names like 'toString' or 'constructor' aren't actions.
+export const getAction = (name) => Object.prototype.hasOwnProperty.call(ACTIONS, name) ? ACTIONS[name] : undefined;
+
+export const isKnownAction = (name) => !!getAction(name);
+
+export const getButtonActions = () => Object.keys(ACTIONS).filter(name => ACTIONS[name].button);
+
+// Throws ActionError for unknown actions or bad payloads.
+export function applyAction(data, actionType, payload, context = {}) {
+  const action = getAction(actionType);
+  if (!action) throw new ActionError(`Unknown action '${actionType}'`);
+  return action.run(data || {}, payload || {}, { now: Date.now(), ...context });
+}
+
+// Convenience for callers holding a whole app: applies the action to app.data (same
+// app back when nothing changed). Throws ActionError like applyAction, so the caller
+// can tell the user about a button that can't work instead of it doing nothing.
+export function reduceApp(app, actionType, payload) {
+  const data = applyAction(app.data, actionType, payload, { initialState: app.initial_state, now: Date.now() });
+  return data === app.data ? app : { ...app, data };
+}
@@ -0,0 +1,95 @@
+import { applyAction, reduceApp, getAction, isKnownAction, ActionError } from './actions';
+import { createTimer } from './timers';
+
+describe('applyAction', () => {
+  test('INCREMENT_COUNT and DECREMENT_COUNT clamp to min and max', () => {
+    expect(applyAction({ count: 9 }, 'INCREMENT_COUNT', { key: 'count', amount: 5, max: 10 }).count).toBe(10);
+    expect(applyAction({ count: 1 }, 'DECREMENT_COUNT', { key: 'count', amount: 3, min: 0 }).count).toBe(0);
+    expect(applyAction({ count: 1 }, 'DECREMENT_COUNT', { key: 'count', amount: 3 }).count).toBe(-2);
+  });
+
+  test('SET_VALUE clamps numbers', () => {
+    expect(applyAction({ level: 5 }, 'SET_VALUE', { key: 'level', value: 50, max: 10 }).level).toBe(10);
+    expect(applyAction({ level: 5 }, 'SET_VALUE', { key: 'level', value: -1, min: 0 }).level).toBe(0);
+  });
+
+  test('RESET_APP restores initial_state', () => {
+    const initialState = { count: 0, items: [] };
+    const data = applyAction({ count: 7, items: [{ label: 'a', checked: true }], extra: 1 }, 'RESET_APP', {}, { initialState });
+    expect(data).toEqual(initialState);
+    expect(data).not.toBe(initialState);
+  });
+
+  test('RESET_APP without initial_state is an ActionError', () => {
+    expect(() => applyAction({ count: 7 }, 'RESET_APP', {})).toThrow(ActionError);
+  });
+
+  test('COMPOSITE runs its steps in order', () => {
+    const data = applyAction({ count: 0, rounds: 0 }, 'COMPOSITE', {
+      steps: [
+        { action: 'INCREMENT_COUNT', payload: { key: 'count', amount: 2 } },
+        { action: 'INCREMENT_COUNT', payload: { key: 'rounds' } }
+      ]
+    });
+    expect(data).toEqual({ count: 2, rounds: 1 });
+  });
+
+  test('COMPOSITE is all or nothing', () => {
+    const before = { count: 0, timer: createTimer('countdown', 60) };
+    const snapshot = JSON.parse(JSON.stringify(before));
+    expect(() => applyAction(before, 'COMPOSITE', {
+      steps: [
+        { action: 'INCREMENT_COUNT', payload: { key: 'count' } },
+        { action: 'START_TIMER', payload: { key: 'missing' } }
+      ]
+    })).toThrow(ActionError);
+    expect(before).toEqual(snapshot);
+    expect(() => applyAction(before, 'COMPOSITE', { steps: [{ action: 'COMPOSITE', payload: {} }] })).toThrow(ActionError);
+  });
+
+  test('unknown actions are ActionErrors', () => {
+    expect(() => applyAction({}, 'LAUNCH_ROCKET', {})).toThrow(ActionError);
+  });
+
+  test('inherited names are not actions', () => {
+    for (const name of ['toString', 'constructor', 'hasOwnProperty', '__proto__']) {
+      expect(() => applyAction({}, name, {})).toThrow(ActionError);
+      expect(isKnownAction(name)).toBe(false);
+      expect(getAction(name)).toBeUndefined();
+    }
+  });
+
+  test('list actions never mutate the items they were given', () => {
+    const item = { label: 'milk', checked: false };
+    const items = [item];
+    const data = Object.freeze({ items: Object.freeze(items) });
+    Object.freeze(item);
+
+    const toggled = applyAction(data, 'TOGGLE_CHECKLIST_ITEM', { key: 'items', index: 0 });
+    expect(toggled.items[0]).toEqual({ label: 'milk', checked: true });
+    expect(toggled.items).not.toBe(items);
+
+    const edited = applyAction(data, 'EDIT_CHECKLIST_ITEM', { key: 'items', index: 0, value: 'oat milk' });
+    expect(edited.items[0].label).toBe('oat milk');
+
+    const added = applyAction(data, 'ADD_CHECKLIST_ITEM', { key: 'items', value: 'eggs' });
+    expect(added.items.map(i => i.label)).toEqual(['milk', 'eggs']);
+
+    expect(applyAction(data, 'DELETE_CHECKLIST_ITEM', { key: 'items', index: 0 }).items).toEqual([]);
+    expect(item).toEqual({ label: 'milk', checked: false });
+    expect(data.items).toEqual([item]);
+  });
+});
+
+describe('reduceApp', () => {
+  const app = { id: 1, data: { count: 1 }, initial_state: { count: 0 } };
+
+  test('applies the action to app.data, using initial_state for resets', () => {
+    expect(reduceApp(app, 'INCREMENT_COUNT', { key: 'count' }).data.count).toBe(2);
+    expect(reduceApp(app, 'RESET_APP', {}).data).toEqual({ count: 0 });
+  });
+
+  test('surfaces ActionErrors to the caller', () => {
+    expect(() => reduceApp(app, 'START_TIMER', { key: 'count' })).toThrow(ActionError);
+  });
+});
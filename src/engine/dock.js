@@ -0,0 +1,73 @@
+import { walkBlocks } from '../blocks';
+import { withComputed } from './formula';
+import { isTimer, isRunning, isFinished, displayMs, formatDuration } from './timers';
+
+// --- DOCK ---
+// Pure helpers behind the dock view. Dock-only fields on an app:
+//   pinned:   shown before everything else
+//   archived: hidden from the dock (and silent) until restored; delete is for good
+// The dock order is simply the order of the apps array, which storage persists.
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number' && !Number.isInteger(value)) return String(Math.round(value * 100) / 100);
+  return String(value);
+};
+
+// What a tile shows about the app's current state: { label, value, live }. A running
+// timer wins (live means the tile should keep repainting); otherwise the first
+// HeroStat, Timer, Checklist or NoteList in the blueprint. Null when there's nothing.
+export function tilePreview(app, now = Date.now()) {
+  const data = withComputed(app.blueprint, app.data || {});
+  const candidates = [];
+  walkBlocks(app.blueprint, block => {
+    if (block.type === 'Timer' && isTimer(data[block.timer_key])) {
+      const timer = data[block.timer_key];
+      candidates.push({
+        label: block.label || 'Timer',
+        value: isFinished(timer, now) ? 'Done' : formatDuration(displayMs(timer, now)),
+        live: isRunning(timer) && !isFinished(timer, now)
+      });
+    } else if (block.type === 'HeroStat') {
+      candidates.push({ label: block.label, value: formatValue(data[block.value_key]) });
+    } else if (block.type === 'Checklist') {
+      const items = Array.isArray(data[block.items_key]) ? data[block.items_key] : [];
+      candidates.push({ label: 'Done', value: `${items.filter(i => i && i.checked).length}/${items.length}` });
+    } else if (block.type === 'NoteList') {
+      const notes = Array.isArray(data[block.items_key]) ? data[block.items_key] : [];
+      candidates.push({ label: block.label || 'Notes', value: String(notes.length) });
+    }
+  });
+  return candidates.find(c => c.live) || candidates[0] || null;
+}
+
+// A fresh copy of the tool: same blueprint, starting state, no history of its own.
+export const duplicateApp = (app, id = Date.now()) => ({
+  id,
+  title: `${app.title} (copy)`,
+  archetype: app.archetype,
+  blueprint: app.blueprint,
+  initial_state: app.initial_state || {},
+  data: app.initial_state || {}
+});
+
+// Moves the app with id fromId to where toId is, shifting the rest.
+export function moveApp(apps, fromId, toId) {
+  const from = apps.findIndex(a => a.id === fromId);
+  const to = apps.findIndex(a => a.id === toId);
+  if (from < 0 || to < 0 || from === to) return apps;
+  const next = [...apps];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+// The dock's view of the apps: archived or not, matching the search (title or
+// archetype), pinned first, otherwise in stored order.
+export function dockApps(apps, { query = '', archived = false } = {}) {
+  const q = query.trim().toLowerCase();
+  const shown = apps.filter(app => !!app.archived === archived && (!q ||
+    app.title.toLowerCase().includes(q) || String(app.archetype || '').toLowerCase().includes(q)));
+  return [...shown.filter(a => a.pinned), ...shown.filter(a => !a.pinned)];
+}
@@ -0,0 +1,288 @@
+import { walkBlocks } from '../blocks';
+import { remainingMs, elapsedMs, isTimer, isRunning, isFinished } from './timers';
+
+// --- FORMULAS ---
+// Derived values ("remaining = budget - eaten") are declared in the blueprint as
+// Computed blocks and evaluated here. The language is deliberately tiny and is parsed
+// by hand; nothing is ever passed to eval/Function, and identifiers can only read app
+// state, never globals. Every lookup (functions, formulas, state) is an own-property
+// check, and names that Object.prototype has (constructor, __proto__, toString...) are
+// refused when parsing, so nothing reaches the prototype chain.
+//
+//   numbers, true/false, state keys and other computed names
+//   + - * / %   < <= > >= == !=   && || !   cond ? a : b   ( )
+//   count(list) checked(list) unchecked(list) percent(part, whole)
+//   min(a, b, ...) max(a, b, ...) round(x, digits?) floor(x) ceil(x) abs(x)
+//   remaining(timer) elapsed(timer)   (seconds)
+//   finished(timer) running(timer) all_checked(list)
+
+export class FormulaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaError';
+  }
+}
+
+const num = (v) => {
+  if (typeof v === 'number') return isFinite(v) ? v : 0;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (Array.isArray(v)) return v.length;
+  if (isTimer(v)) return Math.ceil(remainingMs(v) / 1000);
+  const n = Number(v);
+  return isNaN(n) ? 0 : n;
+};
+
+const list = (v) => Array.isArray(v) ? v : [];
+
+const own = (obj, key) => !!obj && Object.prototype.hasOwnProperty.call(obj, key);
+
+// Names a formula may not use for a value, because plain objects inherit them.
+export const isReservedName = (name) => name in Object.prototype;
+
+// Reads a state key or computed value, ignoring anything inherited.
+export const readValue = (values, name) => own(values, name) ? values[name] : undefined;
+
+const FUNCTIONS = {
+  count: (l) => list(l).length,
+  checked: (l) => list(l).filter(i => i && i.checked).length,
+  unchecked: (l) => list(l).filter(i => i && !i.checked).length,
+  percent: (part, whole) => num(whole) ? Math.round(num(part) / num(whole) * 100) : 0,
+  min: (...args) => Math.min(...args.map(num)),
+  max: (...args) => Math.max(...args.map(num)),
+  round: (x, digits = 0) => { const f = Math.pow(10, num(digits)); return Math.round(num(x) * f) / f; },
+  floor: (x) => Math.floor(num(x)),
+  ceil: (x) => Math.ceil(num(x)),
+  abs: (x) => Math.abs(num(x)),
+  remaining: (t) => isTimer(t) ? Math.ceil(remainingMs(t) / 1000) : 0,
+  elapsed: (t) => isTimer(t) ? Math.floor(elapsedMs(t) / 1000) : 0,
+  finished: (t) => isTimer(t) && isFinished(t),
+  running: (t) => isRunning(t),
+  all_checked: (l) => list(l).length > 0 && list(l).every(i => i && i.checked)
+};
+
+// --- TOKENIZER ---
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|&&|\|\||[-+*/%<>!?:(),]))/y;
+
+const tokenize = (src) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let pos = 0;
+  while (pos < src.length) {
+    if (/^\s*$/.test(src.slice(pos))) break;
+    TOKEN.lastIndex = pos;
+    const m = TOKEN.exec(src);
+    if (!m) throw new FormulaError(`Unexpected '${src.slice(pos).trim()[0]}' in "${src}"`);
+    if (m[1] !== undefined) tokens.push({ kind: 'num', value: parseFloat(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ kind: 'id', value: m[2] });
+    else tokens.push({ kind: 'op', value: m[3] });
+    pos = TOKEN.lastIndex;
+  }
+  return tokens;
+};
+
+// --- PARSER (recursive descent, lowest precedence first) ---
+export function parseFormula(src) {
+  if (typeof src !== 'string' || !src.trim()) throw new FormulaError('Empty formula');
+  const tokens = tokenize(src);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (...ops) => peek() && peek().kind === 'op' && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) throw new FormulaError(`Expected '${op}' in "${src}"`);
+    i++;
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[i++].value;
+      left = { type: 'binary', op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const t = tokens[i++];
+    if (!t) throw new FormulaError(`Unexpected end of "${src}"`);
+    if (t.kind === 'num') return { type: 'num', value: t.value };
+    if (t.kind === 'id') {
+      if (t.value === 'true' || t.value === 'false') return { type: 'bool', value: t.value === 'true' };
+      if (isOp('(')) {
+        if (!own(FUNCTIONS, t.value)) throw new FormulaError(`Unknown function '${t.value}'`);
+        i++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(ternary());
+          while (isOp(',')) { i++; args.push(ternary()); }
+        }
+        expect(')');
+        return { type: 'call', name: t.value, args };
+      }
+      if (isReservedName(t.value)) throw new FormulaError(`'${t.value}' can't be used as a name in "${src}"`);
+      return { type: 'ref', name: t.value };
+    }
+    if (t.value === '(') {
+      const inner = ternary();
+      expect(')');
+      return inner;
+    }
+    throw new FormulaError(`Unexpected '${t.value}' in "${src}"`);
+  };
+
+  const unary = () => {
+    if (isOp('-', '!')) {
+      const op = tokens[i++].value;
+      return { type: 'unary', op, arg: unary() };
+    }
+    return primary();
+  };
+
+  const mul = binary(unary, ['*', '/', '%']);
+  const add = binary(mul, ['+', '-']);
+  const cmp = binary(add, ['<', '<=', '>', '>=', '==', '!=']);
+  const and = binary(cmp, ['&&']);
+  const or = binary(and, ['||']);
+  function ternary() {
+    const cond = or();
+    if (!isOp('?')) return cond;
+    i++;
+    const then = ternary();
+    expect(':');
+    return { type: 'cond', cond, then, otherwise: ternary() };
+  }
+
+  const ast = ternary();
+  if (i < tokens.length) throw new FormulaError(`Unexpected '${tokens[i].value}' in "${src}"`);
+  return ast;
+}
+
+export const formulaRefs = (ast, refs = new Set()) => {
+  if (!ast) return refs;
+  if (ast.type === 'ref') refs.add(ast.name);
+  ['left', 'right', 'arg', 'cond', 'then', 'otherwise'].forEach(k => formulaRefs(ast[k], refs));
+  (ast.args || []).forEach(a => formulaRefs(a, refs));
+  return refs;
+};
+
+// Functions whose argument must be a list or a timer, so a key that only appears in a
+// formula can be created with the right type.
+const ARGUMENT_TYPES = {
+  count: 'array', checked: 'array', unchecked: 'array', all_checked: 'array',
+  remaining: 'timer', elapsed: 'timer', finished: 'timer', running: 'timer'
+};
+
+// { name: 'number' | 'array' | 'timer' } for every key a formula reads.
+export const formulaRefTypes = (ast, types = {}) => {
+  if (!ast) return types;
+  if (ast.type === 'ref' && !types[ast.name]) types[ast.name] = 'number';
+  if (ast.type === 'call' && own(ARGUMENT_TYPES, ast.name)) {
+    ast.args.filter(a => a.type === 'ref').forEach(a => { types[a.name] = ARGUMENT_TYPES[ast.name]; });
+  }
+  ['left', 'right', 'arg', 'cond', 'then', 'otherwise'].forEach(k => formulaRefTypes(ast[k], types));
+  (ast.args || []).forEach(a => formulaRefTypes(a, types));
+  return types;
+};
+
+const BINARY = {
+  '+': (a, b) => num(a) + num(b),
+  '-': (a, b) => num(a) - num(b),
+  '*': (a, b) => num(a) * num(b),
+  '/': (a, b) => num(b) ? num(a) / num(b) : 0,
+  '%': (a, b) => num(b) ? num(a) % num(b) : 0,
+  '<': (a, b) => num(a) < num(b),
+  '<=': (a, b) => num(a) <= num(b),
+  '>': (a, b) => num(a) > num(b),
+  '>=': (a, b) => num(a) >= num(b),
+  '==': (a, b) => num(a) === num(b),
+  '!=': (a, b) => num(a) !== num(b)
+};
+
+export function evaluateFormula(ast, lookup) {
+  switch (ast.type) {
+    case 'num':
+    case 'bool':
+      return ast.value;
+    case 'ref':
+      return lookup(ast.name);
+    case 'unary': {
+      const v = evaluateFormula(ast.arg, lookup);
+      return ast.op === '!' ? !v : -num(v);
+    }
+    case 'binary':
+      if (ast.op === '&&') return !!evaluateFormula(ast.left, lookup) && !!evaluateFormula(ast.right, lookup);
+      if (ast.op === '||') return !!evaluateFormula(ast.left, lookup) || !!evaluateFormula(ast.right, lookup);
+      return BINARY[ast.op](evaluateFormula(ast.left, lookup), evaluateFormula(ast.right, lookup));
+    case 'cond':
+      return evaluateFormula(ast.cond, lookup) ? evaluateFormula(ast.then, lookup) : evaluateFormula(ast.otherwise, lookup);
+    case 'call':
+      if (!own(FUNCTIONS, ast.name)) throw new FormulaError(`Unknown function '${ast.name}'`);
+      return FUNCTIONS[ast.name](...ast.args.map(a => evaluateFormula(a, lookup)));
+    default:
+      throw new FormulaError(`Bad formula node '${ast.type}'`);
+  }
+}
+
+// --- COMPUTED VALUES ---
+
+const cache = new Map();
+// parseFormula with a cache; formulas are re-evaluated on every render.
+export const compileFormula = (expr) => {
+  if (!cache.has(expr)) {
+    try { cache.set(expr, parseFormula(expr)); } catch (e) { cache.set(expr, e); }
+  }
+  const compiled = cache.get(expr);
+  if (compiled instanceof Error) throw compiled;
+  return compiled;
+};
+
+// { name: expr } for every Computed block in a blueprint.
+export const computedDefinitions = (blueprint) => {
+  const defs = {};
+  walkBlocks(blueprint, block => {
+    if (block.type === 'Computed' && block.name && !isReservedName(block.name)) defs[block.name] = block.expr;
+  });
+  return defs;
+};
+
+// Names whose formulas depend on themselves, directly or through other formulas.
+export function findCycles(defs) {
+  const cyclic = new Set();
+  const visit = (name, stack) => {
+    if (stack.includes(name)) { stack.slice(stack.indexOf(name)).forEach(n => cyclic.add(n)); return; }
+    let ast;
+    try { ast = compileFormula(defs[name]); } catch (e) { return; }
+    formulaRefs(ast).forEach(ref => { if (own(defs, ref)) visit(ref, [...stack, name]); });
+  };
+  Object.keys(defs).forEach(name => visit(name, []));
+  return [...cyclic];
+}
+
+// App data plus every computed value. Formulas may use each other; broken ones read as
+// null rather than breaking the app, and a formula that reaches itself again reads null
+// at that point (the validator rejects cycles, so this is only a safety net).
+export function withComputed(blueprint, data) {
+  const defs = computedDefinitions(blueprint);
+  const names = Object.keys(defs);
+  if (!names.length) return data;
+
+  const values = {};
+  const inProgress = new Set();
+  const resolve = (name) => {
+    if (own(values, name)) return values[name];
+    if (!own(defs, name)) return readValue(data, name);
+    if (inProgress.has(name)) return null;
+    inProgress.add(name);
+    let value;
+    try {
+      value = evaluateFormula(compileFormula(defs[name]), resolve);
+      if (typeof value === 'number' && !isFinite(value)) value = 0;
+    } catch (e) {
+      value = null;
+    }
+    inProgress.delete(name);
+    values[name] = value;
+    return value;
+  };
+  names.forEach(resolve);
+  return { ...data, ...values };
+}
@@ -0,0 +1,129 @@
+import { parseFormula, evaluateFormula, withComputed, findCycles, formulaRefs, FormulaError } from './formula';
+import { createTimer, startTimer } from './timers';
+
+// Evaluates a formula against plain state.
+const run = (expr, data = {}) => evaluateFormula(parseFormula(expr), name => data[name]);
+
+describe('arithmetic and logic', () => {
+  test('follows the usual precedence', () => {
+    expect(run('1 + 2 * 3')).toBe(7);
+    expect(run('(1 + 2) * 3')).toBe(9);
+    expect(run('10 - 4 - 3')).toBe(3);
+    expect(run('-2 * 3 + 10 % 4')).toBe(-4);
+    expect(run('1 + 2 > 2 && !false')).toBe(true);
+    expect(run('1 > 2 || 3 == 3')).toBe(true);
+    expect(run('a > 5 ? a - 5 : 0', { a: 8 })).toBe(3);
+    expect(run('a > 5 ? 1 : a > 2 ? 2 : 3', { a: 3 })).toBe(2);
+  });
+
+  test('reads state, coercing what it can', () => {
+    expect(run('budget - spent', { budget: 2000, spent: 150 })).toBe(1850);
+    expect(run('a + 1', { a: '4' })).toBe(5);
+    expect(run('a + 1', { a: 'x' })).toBe(1);
+    expect(run('flag + 1', { flag: true })).toBe(2);
+  });
+
+  test('division and remainder by zero give 0', () => {
+    expect(run('5 / 0')).toBe(0);
+    expect(run('5 % 0')).toBe(0);
+    expect(run('a / b', { a: 1, b: 0 })).toBe(0);
+  });
+
+  test('unknown identifiers read as missing state', () => {
+    expect(run('missing')).toBeUndefined();
+    expect(run('missing + 1')).toBe(1);
+  });
+
+  test('syntax errors are FormulaErrors', () => {
+    ['', '1 +', '(1 + 2', '1 2', 'a ? b', '1 $ 2', 'eval("1")'].forEach(expr => {
+      expect(() => parseFormula(expr)).toThrow(FormulaError);
+    });
+  });
+});
+
+describe('functions', () => {
+  const items = [{ label: 'a', checked: true }, { label: 'b', checked: false }, { label: 'c', checked: true }];
+
+  test('whitelisted functions work', () => {
+    expect(run('count(items)', { items })).toBe(3);
+    expect(run('checked(items)', { items })).toBe(2);
+    expect(run('unchecked(items)', { items })).toBe(1);
+    expect(run('percent(checked(items), count(items))', { items })).toBe(67);
+    expect(run('percent(1, 0)')).toBe(0);
+    expect(run('all_checked(items)', { items })).toBe(false);
+    expect(run('min(3, 1, 2) + max(3, 1, 2)')).toBe(4);
+    expect(run('round(2.345, 2)')).toBe(2.35);
+    expect(run('floor(2.7) + ceil(2.1) + abs(-1)')).toBe(6);
+    expect(run('count(x)', { x: 5 })).toBe(0);
+  });
+
+  test('timer functions read the wall clock', () => {
+    const timer = startTimer(createTimer('countdown', 60), Date.now() - 10000);
+    expect(run('running(t)', { t: timer })).toBe(true);
+    expect(run('finished(t)', { t: timer })).toBe(false);
+    expect(run('remaining(t)', { t: timer })).toBeLessThanOrEqual(50);
+    expect(run('elapsed(t)', { t: timer })).toBeGreaterThanOrEqual(10);
+  });
+
+  test('anything off the list is an unknown function', () => {
+    ['alert(1)', 'fetch(1)', 'Math(1)'].forEach(expr => {
+      expect(() => parseFormula(expr)).toThrow(/Unknown function/);
+    });
+  });
+});
+
+describe('sandboxing', () => {
+  test('inherited names are neither functions nor values', () => {
+    ['constructor(1)', 'toString()', 'valueOf()', 'hasOwnProperty(x)', '__proto__(1)'].forEach(expr => {
+      expect(() => parseFormula(expr)).toThrow(FormulaError);
+    });
+    ['constructor', '__proto__', 'toString + 1', 'hasOwnProperty'].forEach(expr => {
+      expect(() => parseFormula(expr)).toThrow(FormulaError);
+    });
+  });
+
+  test('a hand-made call node still cannot reach the prototype', () => {
+    expect(() => evaluateFormula({ type: 'call', name: 'constructor', args: [] }, () => 0)).toThrow(FormulaError);
+  });
+
+  test('state and computed lookups ignore inherited properties', () => {
+    const data = withComputed([{ type: 'Computed', name: 'x', expr: 'a + 1' }], Object.create({ a: 41 }));
+    expect(data.x).toBe(1);
+  });
+
+  test('Computed blocks with inherited names are ignored', () => {
+    const data = withComputed([{ type: 'Computed', name: 'constructor', expr: '1' }, { type: 'Computed', name: 'y', expr: '2' }], {});
+    expect(data).toEqual({ y: 2 });
+  });
+});
+
+describe('computed values', () => {
+  test('formulas can use each other', () => {
+    const blueprint = [
+      { type: 'Computed', name: 'left', expr: 'budget - spent' },
+      { type: 'Computed', name: 'over', expr: 'left < 0' }
+    ];
+    expect(withComputed(blueprint, { budget: 10, spent: 12 })).toEqual({ budget: 10, spent: 12, left: -2, over: true });
+  });
+
+  test('cycles are found and cut short rather than looping', () => {
+    const blueprint = [
+      { type: 'Computed', name: 'a', expr: 'b + 1' },
+      { type: 'Computed', name: 'b', expr: 'a + 1' },
+      { type: 'Computed', name: 'c', expr: '3' }
+    ];
+    expect(findCycles({ a: 'b + 1', b: 'a + 1', c: '3' }).sort()).toEqual(['a', 'b']);
+    const data = withComputed(blueprint, {});
+    expect(data.c).toBe(3);
+    // The read that would go round again gets null (0 in arithmetic).
+    expect([data.a, data.b]).toEqual([2, 1]);
+  });
+
+  test('broken formulas read as null', () => {
+    expect(withComputed([{ type: 'Computed', name: 'x', expr: '1 +' }], {}).x).toBeNull();
+  });
+
+  test('formulaRefs lists the names a formula reads', () => {
+    expect([...formulaRefs(parseFormula('percent(done, total) > goal ? 1 : 0'))].sort()).toEqual(['done', 'goal', 'total']);
+  });
+});
@@ -0,0 +1,100 @@
+import { reduceApp } from './actions';
+import { trackSeries } from './series';
+import { withComputed } from './formula';
+
+// --- UNDO / REDO & VERSIONS ---
+// Every app carries its own bounded history, persisted with it:
+//   journal:  { past: [entry], future: [entry] }
+//             entry = { action, payload, at, data } where data is the snapshot to
+//             restore when the entry is undone (past) or redone (future)
+//   versions: [{ at, title, archetype, blueprint, initial_state, data }]
+//             earlier definitions, saved whenever the blueprint is revised
+// Every data change made here also extends app.series (see engine/series) so charts
+// see undos and redos as the corrections they are. Computed values (engine/formula)
+// are recalculated for each change and tracked like any other number.
+// Everything here is pure: app in, app out.
+
+export const JOURNAL_LIMIT = 50;
+export const VERSION_LIMIT = 10;
+
+const EMPTY_JOURNAL = { past: [], future: [] };
+
+const journalOf = (app) => app.journal || EMPTY_JOURNAL;
+
+const track = (app, prevData, nextData, at) =>
+  trackSeries(app.series, withComputed(app.blueprint, prevData), withComputed(app.blueprint, nextData), at);
+
+export const canUndo = (app) => !!app && journalOf(app).past.length > 0;
+export const canRedo = (app) => !!app && journalOf(app).future.length > 0;
+
+// Applies an action and journals it. A redo stack is cleared by any new action. Throws
+// ActionError (see engine/actions) when the action can't run.
+export function recordAction(app, actionType, payload) {
+  const next = reduceApp(app, actionType, payload);
+  if (next === app) return app;
+  const entry = { action: actionType, payload, at: Date.now(), data: app.data };
+  return {
+    ...next,
+    series: track(app, app.data, next.data, entry.at),
+    journal: { past: [...journalOf(app).past, entry].slice(-JOURNAL_LIMIT), future: [] }
+  };
+}
+
+export function undo(app) {
+  const { past, future } = journalOf(app);
+  if (!past.length) return app;
+  const entry = past[past.length - 1];
+  return {
+    ...app,
+    data: entry.data,
+    series: track(app, app.data, entry.data),
+    journal: { past: past.slice(0, -1), future: [...future, { ...entry, data: app.data }] }
+  };
+}
+
+export function redo(app) {
+  const { past, future } = journalOf(app);
+  if (!future.length) return app;
+  const entry = future[future.length - 1];
+  return {
+    ...app,
+    data: entry.data,
+    series: track(app, app.data, entry.data),
+    journal: { past: [...past, { ...entry, data: app.data }], future: future.slice(0, -1) }
+  };
+}
+
+const definitionOf = (app) => ({
+  at: Date.now(),
+  title: app.title,
+  archetype: app.archetype,
+  blueprint: app.blueprint,
+  initial_state: app.initial_state,
+  data: app.data
+});
+
+// Replaces the app's definition, keeping the outgoing one in versions. The action
+// journal refers to the old blueprint's keys, so it starts over.
+export function reviseApp(app, revised) {
+  return {
+    ...app,
+    ...revised,
+    versions: [...(app.versions || []), definitionOf(app)].slice(-VERSION_LIMIT),
+    journal: EMPTY_JOURNAL
+  };
+}
+
+// Brings back versions[index]; the current definition takes its place in the list,
+// so a restore can itself be undone by restoring again.
+export function restoreVersion(app, index) {
+  const versions = app.versions || [];
+  const version = versions[index];
+  if (!version) return app;
+  const { at, ...definition } = version;
+  return {
+    ...app,
+    ...definition,
+    versions: [...versions.slice(0, index), ...versions.slice(index + 1), definitionOf(app)].slice(-VERSION_LIMIT),
+    journal: EMPTY_JOURNAL
+  };
+}
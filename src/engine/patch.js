@@ -0,0 +1,143 @@
+import { isTimer } from './timers';
+import { validateTool } from '../ai/validateTool';
+import { walkBlocks, getStateBindings } from '../blocks';
+
+// --- BLUEPRINT PATCHES & STATE MIGRATION ---
+// In edit mode the model answers with a list of operations against the current
+// blueprint instead of a whole new tool:
+//   { op: 'add', index?, block }   insert (append when index is omitted)
+//   { op: 'replace', index, block }
+//   { op: 'remove', index }
+//   { op: 'move', index, to }
+// Operations run in order; each index refers to the blueprint as left by the
+// previous operation.
+
+export const PATCH_OPS = ['add', 'replace', 'remove', 'move'];
+
+export class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatchError';
+  }
+}
+
+const checkIndex = (list, index, op, allowEnd = false) => {
+  const max = allowEnd ? list.length : list.length - 1;
+  if (!Number.isInteger(index) || index < 0 || index > max) {
+    throw new PatchError(`'${op}' index ${index} is out of range (blueprint has ${list.length} blocks).`);
+  }
+};
+
+export function applyBlueprintPatch(blueprint, operations) {
+  if (!Array.isArray(operations)) throw new PatchError("'operations' must be an array.");
+  return operations.reduce((list, operation, i) => {
+    const { op, index, to, block } = operation || {};
+    const next = [...list];
+    switch (op) {
+      case 'add':
+        if (!block) throw new PatchError(`operations[${i}]: 'add' needs a block.`);
+        if (index === undefined || index === null) return [...next, block];
+        checkIndex(next, index, op, true);
+        next.splice(index, 0, block);
+        return next;
+      case 'replace':
+        if (!block) throw new PatchError(`operations[${i}]: 'replace' needs a block.`);
+        checkIndex(next, index, op);
+        next[index] = block;
+        return next;
+      case 'remove':
+        checkIndex(next, index, op);
+        next.splice(index, 1);
+        return next;
+      case 'move': {
+        checkIndex(next, index, op);
+        checkIndex(next, to, op);
+        const [moved] = next.splice(index, 1);
+        next.splice(to, 0, moved);
+        return next;
+      }
+      default:
+        throw new PatchError(`operations[${i}]: unknown op '${op}'.`);
+    }
+  }, blueprint || []);
+}
+
+const kindOf = (value) => isTimer(value) ? 'timer' : Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+const has = (obj, key) => !!obj && Object.prototype.hasOwnProperty.call(obj, key);
+
+// A timer's setup, as opposed to where it has got to.
+const timerConfig = (timer) => `${timer.mode}:${timer.duration}`;
+
+// Carries the user's current values into a revised tool. A value survives when the
+// revised initial_state still has that key with the same kind of value; new keys get
+// their starting value; keys the revision no longer uses are dropped. A timer whose
+// mode or duration the revision changed starts over with the new setup; it's compared
+// with previousInitialState when given (the running timer may have been reset to a
+// duration of the user's choosing), else with the current timer. Returns the migrated
+// data plus the keys that were reset or dropped, for the preview banner.
+export function migrateState(currentData, nextInitialState, previousInitialState) {
+  const data = {};
+  const reset = [];
+  for (const [key, initial] of Object.entries(nextInitialState || {})) {
+    const current = has(currentData, key) ? currentData[key] : undefined;
+    const before = has(previousInitialState, key) ? previousInitialState[key] : current;
+    const reconfigured = isTimer(initial) && isTimer(before) && timerConfig(before) !== timerConfig(initial);
+    if (current !== undefined && kindOf(current) === kindOf(initial) && !reconfigured) {
+      data[key] = current;
+    } else {
+      data[key] = initial;
+      if (current !== undefined) reset.push(key);
+    }
+  }
+  const dropped = Object.keys(currentData || {}).filter(key => !has(data, key));
+  return { data, reset, dropped };
+}
+
+// The starting state the validator gives a blueprint on top of the given state: every
+// key it binds (blocks, button payloads, formulas), with timers built from their
+// blocks' settings. null when the blueprint doesn't validate; the real validation
+// reports why.
+const derivedState = (blueprint, state) => {
+  const { tool } = validateTool({ tool_name: 'patch', archetype: 'Drafter', blueprint, initial_state: state });
+  return tool ? tool.initial_state : null;
+};
+
+// The revised tool an edit-mode patch describes, ready for validateTool(). Starting
+// values come from, in order: the patch's own initial_state; the blocks the patch adds
+// or replaces, for keys they redefine (a timer's settings, or a key that now holds a
+// different kind of value); the old initial_state, for keys the revised blueprint still
+// binds. So "make it 10 minutes" takes effect, and removed blocks take their state with
+// them (migrateState then reports it dropped). Apps from before initial_state was stored
+// fall back to their data for starting values.
+export const patchToTool = (app, patch) => {
+  const operations = patch.operations || [];
+  const blueprint = applyBlueprintPatch(app.blueprint, operations);
+  const previous = app.initial_state || app.data || {};
+  const added = patch.initial_state || {};
+
+  // Timers count as redefined only when a new block declares them (a Timer), not when
+  // a new button merely starts one.
+  const newBlocks = operations.filter(o => o && (o.op === 'add' || o.op === 'replace') && o.block).map(o => o.block);
+  const defined = (newBlocks.length && derivedState(newBlocks, added)) || {};
+  const declaredTimers = new Set();
+  walkBlocks(newBlocks, block => getStateBindings(block.type)
+    .forEach(({ prop, type }) => { if (type === 'timer' && block[prop]) declaredTimers.add(block[prop]); }));
+  const redefines = (key) => has(defined, key) && (declaredTimers.has(key) || (has(previous, key) && kindOf(defined[key]) !== kindOf(previous[key])));
+
+  const bound = derivedState(blueprint, added);
+  const keys = bound ? Object.keys(bound) : Object.keys(previous);
+  const initial = {};
+  keys.forEach(key => {
+    if (has(added, key)) return;
+    if (redefines(key)) initial[key] = defined[key];
+    else if (has(previous, key)) initial[key] = previous[key];
+  });
+  return {
+    tool_name: patch.tool_name || app.title,
+    archetype: app.archetype,
+    blueprint,
+    initial_state: { ...initial, ...added },
+    message: patch.message
+  };
+};
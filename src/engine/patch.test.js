@@ -0,0 +1,100 @@
+import { applyBlueprintPatch, migrateState, patchToTool, PatchError } from './patch';
+import { validateTool } from '../ai/validateTool';
+import { createTimer, startTimer } from './timers';
+
+const timerBlock = (duration) => ({ type: 'Timer', label: 'Tea', timer_key: 'tea', mode: 'countdown', duration });
+
+// An app as validateTool would have made it, with some use on top.
+const appFrom = (blueprint, initialState, use = (data) => data) => {
+  const { tool } = validateTool({ tool_name: 'T', archetype: 'Regulator', blueprint, initial_state: initialState });
+  return { title: 'T', archetype: tool.archetype, blueprint: tool.blueprint, initial_state: tool.initial_state, data: use(tool.initial_state) };
+};
+
+// What accepting a revision does: validate the patched tool, then migrate the data.
+const revise = (app, patch) => {
+  const { tool } = validateTool(patchToTool(app, patch));
+  return { tool, ...migrateState(app.data, tool.initial_state, app.initial_state) };
+};
+
+describe('applyBlueprintPatch', () => {
+  const blueprint = [{ type: 'TextBlock', text: 'a' }, { type: 'TextBlock', text: 'b' }];
+
+  test('applies operations in order', () => {
+    const next = applyBlueprintPatch(blueprint, [
+      { op: 'add', block: { type: 'TextBlock', text: 'c' } },
+      { op: 'move', index: 2, to: 0 },
+      { op: 'remove', index: 1 }
+    ]);
+    expect(next.map(b => b.text)).toEqual(['c', 'b']);
+    expect(blueprint.map(b => b.text)).toEqual(['a', 'b']);
+  });
+
+  test('rejects out-of-range indexes and unknown ops', () => {
+    expect(() => applyBlueprintPatch(blueprint, [{ op: 'remove', index: 2 }])).toThrow(PatchError);
+    expect(() => applyBlueprintPatch(blueprint, [{ op: 'rename', index: 0 }])).toThrow(PatchError);
+  });
+});
+
+describe('patchToTool', () => {
+  test('a replaced Timer starts with its new duration', () => {
+    const app = appFrom([timerBlock(300)], {}, data => ({ ...data, tea: startTimer(data.tea, Date.now() - 1000) }));
+    const { tool, data, reset } = revise(app, { operations: [{ op: 'replace', index: 0, block: timerBlock(600) }] });
+    expect(tool.initial_state.tea.duration).toBe(600);
+    expect(data.tea.duration).toBe(600);
+    expect(data.tea.started_at).toBeNull();
+    expect(reset).toEqual(['tea']);
+  });
+
+  test('an untouched timer keeps its setup and its progress', () => {
+    const app = appFrom([timerBlock(300)], {}, data => ({ ...data, tea: startTimer(data.tea, 1000) }));
+    const { tool, data, reset } = revise(app, {
+      operations: [{ op: 'add', block: { type: 'ActionButton', label: 'Go', action: 'START_TIMER', payload: { key: 'tea' } } }]
+    });
+    expect(tool.initial_state.tea.duration).toBe(300);
+    expect(data.tea.started_at).toBe(1000);
+    expect(reset).toEqual([]);
+  });
+
+  test('old starting values carry over for keys still in use', () => {
+    const app = appFrom([
+      { type: 'Computed', name: 'left', expr: 'budget - spent' },
+      { type: 'HeroStat', label: 'Left', value_key: 'left' },
+      { type: 'ActionButton', label: '+1', action: 'INCREMENT_COUNT', payload: { key: 'spent' } }
+    ], { budget: 2000, spent: 0 }, data => ({ ...data, spent: 120 }));
+    const { tool, data } = revise(app, { operations: [{ op: 'replace', index: 1, block: { type: 'HeroStat', label: 'Remaining', value_key: 'left' } }] });
+    expect(tool.initial_state).toEqual({ budget: 2000, spent: 0 });
+    expect(data).toEqual({ budget: 2000, spent: 120 });
+  });
+
+  test('state of removed blocks is dropped', () => {
+    const app = appFrom([{ type: 'HeroStat', label: 'A', value_key: 'a' }], { a: 5 }, data => ({ ...data, a: 7 }));
+    const { tool, data, dropped } = revise(app, {
+      operations: [{ op: 'replace', index: 0, block: { type: 'HeroStat', label: 'B', value_key: 'b' } }],
+      initial_state: { b: 1 }
+    });
+    expect(tool.initial_state).toEqual({ b: 1 });
+    expect(data).toEqual({ b: 1 });
+    expect(dropped).toEqual(['a']);
+  });
+
+  test("the patch's own initial_state wins", () => {
+    const app = appFrom([{ type: 'HeroStat', label: 'Goal', value_key: 'goal' }], { goal: 8 });
+    expect(patchToTool(app, { operations: [], initial_state: { goal: 10 } }).initial_state.goal).toBe(10);
+  });
+});
+
+describe('migrateState', () => {
+  test('keeps values of the same kind and resets the rest', () => {
+    const { data, reset, dropped } = migrateState({ count: 3, items: 'x', gone: 1 }, { count: 0, items: [] });
+    expect(data).toEqual({ count: 3, items: [] });
+    expect(reset).toEqual(['items']);
+    expect(dropped).toEqual(['gone']);
+  });
+
+  test('a timer reset to a custom duration survives a revision that leaves it alone', () => {
+    const initial = createTimer('countdown', 300);
+    const custom = createTimer('countdown', 90);
+    expect(migrateState({ tea: custom }, { tea: initial }, { tea: initial }).data.tea).toBe(custom);
+    expect(migrateState({ tea: custom }, { tea: createTimer('countdown', 600) }, { tea: initial }).data.tea.duration).toBe(600);
+  });
+});
@@ -0,0 +1,122 @@
+import { walkBlocks } from '../blocks';
+import { SCHEDULES, WEEKDAYS } from '../blocks/Reset';
+import { trackSeries } from './series';
+import { withComputed } from './formula';
+
+// --- SCHEDULED RESETS ---
+// A Reset block splits an app's life into periods ("Coffees Today" starts again at
+// midnight). Its schedule is { every: 'day' | 'week' | 'manual', at: 'HH:MM', weekday }.
+// When a period ends the app's values are archived and data goes back to
+// initial_state. Per app we persist:
+//   period_start: epoch ms the current period began
+//   periods:      [{ start, end, values: { key: number | boolean }, checklists: { key: { done, total } } }]
+//                 oldest first
+// Rollover is worked out from period_start, not from a timer that has to be running at
+// the right moment, so an app that was closed at midnight still rolls over the next time
+// anything looks at it. Missed periods with nothing in them aren't archived.
+// The reset goes into app.series marked reset: true, so charts don't count it as a drop.
+// Everything here is pure: app in, app out.
+
+export const PERIOD_LIMIT = 90;
+
+const TIME = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// 'HH:MM' -> { hours, minutes }, or null.
+export const parseTime = (at) => {
+  const m = TIME.exec(String(at ?? '').trim());
+  return m ? { hours: Number(m[1]), minutes: Number(m[2]) } : null;
+};
+
+// A Reset block's schedule with defaults filled in, or null if 'every' is unusable.
+export const scheduleOf = (block) => SCHEDULES.includes(block.every) ? {
+  every: block.every,
+  at: parseTime(block.at) ? block.at.trim() : '00:00',
+  weekday: WEEKDAYS.includes(block.weekday) ? block.weekday : 'monday'
+} : null;
+
+// The app's schedule, from its first Reset block.
+export function resetSchedule(blueprint) {
+  let schedule = null;
+  walkBlocks(blueprint, block => {
+    if (!schedule && block.type === 'Reset') schedule = scheduleOf(block);
+  });
+  return schedule;
+}
+
+const step = (schedule) => schedule.every === 'week' ? 7 : 1;
+
+// The latest scheduled rollover at or before t, in local time.
+export function lastBoundary(schedule, t) {
+  const { hours, minutes } = parseTime(schedule.at);
+  const d = new Date(t);
+  d.setHours(hours, minutes, 0, 0);
+  if (schedule.every === 'week') d.setDate(d.getDate() - ((d.getDay() - WEEKDAYS.indexOf(schedule.weekday) + 7) % 7));
+  if (d.getTime() > t) d.setDate(d.getDate() - step(schedule));
+  return d.getTime();
+}
+
+// The first scheduled rollover after t.
+export function nextBoundary(schedule, t) {
+  const d = new Date(lastBoundary(schedule, t));
+  d.setDate(d.getDate() + step(schedule));
+  return d.getTime();
+}
+
+const checklistKeys = (blueprint) => {
+  const keys = new Set();
+  walkBlocks(blueprint, block => { if (block.type === 'Checklist') keys.add(block.items_key || 'items'); });
+  return keys;
+};
+
+// What the period ends on: numbers and flags (computed ones included) and how much of
+// each checklist was done.
+export function periodSnapshot(app) {
+  const values = {};
+  const checklists = {};
+  const lists = checklistKeys(app.blueprint);
+  Object.entries(withComputed(app.blueprint, app.data)).forEach(([key, value]) => {
+    if (typeof value === 'number' || typeof value === 'boolean') values[key] = value;
+    else if (lists.has(key) && Array.isArray(value)) {
+      checklists[key] = { done: value.filter(item => item && item.checked).length, total: value.length };
+    }
+  });
+  return { values, checklists };
+}
+
+// Archives the current period as ending at `end` and starts the next one at `nextStart`.
+// The undo journal belongs to the archived period, so it starts over.
+export function endPeriod(app, end = Date.now(), nextStart = end) {
+  const data = { ...(app.initial_state || {}) };
+  const period = { start: app.period_start ?? end, end, ...periodSnapshot(app) };
+  return {
+    ...app,
+    data,
+    period_start: nextStart,
+    periods: [...(app.periods || []), period].slice(-PERIOD_LIMIT),
+    series: trackSeries(app.series, withComputed(app.blueprint, app.data), withComputed(app.blueprint, data), end, { reset: true }),
+    journal: { past: [], future: [] }
+  };
+}
+
+// Brings a scheduled app up to the period containing `now`. Returns the same object
+// when nothing is due. An app that just got a schedule starts its first period without
+// a reset.
+export function rollOver(app, now = Date.now()) {
+  const schedule = resetSchedule(app.blueprint);
+  if (!schedule) return app;
+  if (schedule.every === 'manual') return app.period_start ? app : { ...app, period_start: now };
+  const current = lastBoundary(schedule, now);
+  if (!app.period_start) return { ...app, period_start: current };
+  if (app.period_start >= current) return app;
+  return endPeriod(app, nextBoundary(schedule, app.period_start), current);
+}
+
+export const hasSchedule = (app) => !!app && !!resetSchedule(app.blueprint);
+
+// "daily at 06:00", "weekly on Monday at 00:00", "when you start a new period"
+export function describeSchedule(schedule) {
+  if (!schedule) return '';
+  if (schedule.every === 'manual') return 'when you start a new period';
+  if (schedule.every === 'day') return `daily at ${schedule.at}`;
+  return `weekly on ${schedule.weekday[0].toUpperCase()}${schedule.weekday.slice(1)} at ${schedule.at}`;
+}
@@ -0,0 +1,134 @@
+import { lastBoundary, nextBoundary, rollOver, endPeriod, scheduleOf, PERIOD_LIMIT } from './periods';
+
+// Local time, like the schedules themselves. Months are 0-based: at(2026, 0, 31) is 31 January.
+const at = (year, month, day, hours = 0, minutes = 0) => new Date(year, month, day, hours, minutes).getTime();
+
+const daily = { every: 'day', at: '06:00', weekday: 'monday' };
+const weekly = (weekday, time = '00:00') => ({ every: 'week', at: time, weekday });
+
+const appWith = (reset, extra = {}) => ({
+  id: 1,
+  title: 'Coffees',
+  archetype: 'Accumulator',
+  blueprint: [
+    { type: 'Reset', ...reset },
+    { type: 'HeroStat', label: 'Today', value_key: 'count' },
+    { type: 'Checklist', items_key: 'items' }
+  ],
+  initial_state: { count: 0, items: [{ id: 1, label: 'Mug', checked: false }] },
+  data: { count: 0, items: [{ id: 1, label: 'Mug', checked: false }] },
+  ...extra
+});
+
+describe('boundaries', () => {
+  test('a daily reset falls on the day before until its time comes', () => {
+    expect(lastBoundary(daily, at(2026, 0, 31, 5, 59))).toBe(at(2026, 0, 30, 6));
+    expect(lastBoundary(daily, at(2026, 0, 31, 6))).toBe(at(2026, 0, 31, 6));
+    expect(nextBoundary(daily, at(2026, 0, 31, 6))).toBe(at(2026, 1, 1, 6));
+  });
+
+  test('days roll over month ends of every length', () => {
+    expect(nextBoundary(daily, at(2026, 0, 31, 7))).toBe(at(2026, 1, 1, 6));
+    expect(nextBoundary(daily, at(2026, 1, 28, 7))).toBe(at(2026, 2, 1, 6));
+    expect(nextBoundary(daily, at(2024, 1, 28, 7))).toBe(at(2024, 1, 29, 6));
+    expect(nextBoundary(daily, at(2026, 3, 30, 7))).toBe(at(2026, 4, 1, 6));
+    expect(nextBoundary(daily, at(2026, 11, 31, 7))).toBe(at(2027, 0, 1, 6));
+    expect(lastBoundary(daily, at(2026, 2, 1, 5))).toBe(at(2026, 1, 28, 6));
+  });
+
+  test('weeks start on the configured weekday', () => {
+    // 1 March 2026 is a Sunday.
+    expect(lastBoundary(weekly('monday'), at(2026, 2, 1, 12))).toBe(at(2026, 1, 23));
+    expect(lastBoundary(weekly('monday'), at(2026, 2, 2))).toBe(at(2026, 2, 2));
+    expect(nextBoundary(weekly('monday'), at(2026, 2, 1, 12))).toBe(at(2026, 2, 2));
+    expect(lastBoundary(weekly('sunday', '09:00'), at(2026, 2, 1, 8))).toBe(at(2026, 1, 22, 9));
+    expect(lastBoundary(weekly('sunday', '09:00'), at(2026, 2, 1, 10))).toBe(at(2026, 2, 1, 9));
+    expect(lastBoundary(weekly('saturday'), at(2026, 1, 27, 23))).toBe(at(2026, 1, 21));
+  });
+
+  test('schedules get their defaults filled in', () => {
+    expect(scheduleOf({ every: 'week' })).toEqual({ every: 'week', at: '00:00', weekday: 'monday' });
+    expect(scheduleOf({ every: 'day', at: '25:00' }).at).toBe('00:00');
+    expect(scheduleOf({ every: 'month' })).toBeNull();
+  });
+});
+
+describe('rollOver', () => {
+  test('nothing is due within the current period', () => {
+    const app = appWith(daily, { period_start: at(2026, 0, 31, 6), data: { count: 3, items: [] } });
+    expect(rollOver(app, at(2026, 1, 1, 5, 59))).toBe(app);
+  });
+
+  test('an app without a period starts one without a reset', () => {
+    const app = appWith(daily, { data: { count: 3, items: [] } });
+    const next = rollOver(app, at(2026, 0, 31, 12));
+    expect(next.period_start).toBe(at(2026, 0, 31, 6));
+    expect(next.data).toBe(app.data);
+    expect(next.periods).toBeUndefined();
+  });
+
+  test('several missed days archive one period and skip the empty ones', () => {
+    const app = appWith(daily, {
+      period_start: at(2026, 0, 28, 6),
+      data: { count: 5, items: [{ id: 1, label: 'Mug', checked: true }] }
+    });
+    const next = rollOver(app, at(2026, 1, 2, 12));
+    expect(next.periods).toEqual([{
+      start: at(2026, 0, 28, 6),
+      end: at(2026, 0, 29, 6),
+      values: { count: 5 },
+      checklists: { items: { done: 1, total: 1 } }
+    }]);
+    expect(next.period_start).toBe(at(2026, 1, 2, 6));
+    expect(next.data).toEqual(app.initial_state);
+    expect(rollOver(next, at(2026, 1, 2, 12))).toBe(next);
+  });
+
+  test('a missed week ends on the boundary after its start', () => {
+    const app = appWith(weekly('monday'), { period_start: at(2026, 1, 23), data: { count: 2, items: [] } });
+    const next = rollOver(app, at(2026, 2, 18, 9));
+    expect(next.periods.map(p => [p.start, p.end])).toEqual([[at(2026, 1, 23), at(2026, 2, 2)]]);
+    expect(next.period_start).toBe(at(2026, 2, 16));
+  });
+
+  test('manual schedules only ever start the first period', () => {
+    const app = appWith({ every: 'manual' });
+    const started = rollOver(app, at(2026, 0, 31, 12));
+    expect(started.period_start).toBe(at(2026, 0, 31, 12));
+    expect(rollOver(started, at(2026, 2, 1))).toBe(started);
+  });
+
+  test('apps without a Reset block are left alone', () => {
+    const app = { ...appWith(daily), blueprint: [{ type: 'HeroStat', label: 'Today', value_key: 'count' }] };
+    expect(rollOver(app, at(2026, 0, 31))).toBe(app);
+  });
+});
+
+describe('endPeriod', () => {
+  test('archives the values and goes back to the starting state', () => {
+    const app = appWith(daily, {
+      period_start: at(2026, 0, 30, 6),
+      data: { count: 4, items: [{ id: 1, label: 'Mug', checked: true }] },
+      journal: { past: [{ count: 3 }], future: [] }
+    });
+    const next = endPeriod(app, at(2026, 0, 30, 18));
+    expect(next.periods).toEqual([{
+      start: at(2026, 0, 30, 6),
+      end: at(2026, 0, 30, 18),
+      values: { count: 4 },
+      checklists: { items: { done: 1, total: 1 } }
+    }]);
+    expect(next.period_start).toBe(at(2026, 0, 30, 18));
+    expect(next.data).toEqual(app.initial_state);
+    expect(next.journal).toEqual({ past: [], future: [] });
+    expect(next.series.count).toEqual([{ t: at(2026, 0, 30, 18), v: 4 }, { t: at(2026, 0, 30, 18), v: 0, reset: true }]);
+  });
+
+  test(`keeps only the last ${PERIOD_LIMIT} periods`, () => {
+    const periods = Array.from({ length: PERIOD_LIMIT }, (_, i) => ({ start: i, end: i + 1, values: {}, checklists: {} }));
+    const next = endPeriod(appWith(daily, { period_start: PERIOD_LIMIT, periods }), PERIOD_LIMIT + 1);
+    expect(next.periods).toHaveLength(PERIOD_LIMIT);
+    expect(next.periods[0].start).toBe(1);
+    expect(next.periods[PERIOD_LIMIT - 1].start).toBe(PERIOD_LIMIT);
+  });
+});
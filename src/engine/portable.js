@@ -0,0 +1,165 @@
+import { validateTool } from '../ai/validateTool';
+import { migrateState } from './patch';
+import { migrateApp } from '../storage/migrations';
+
+// --- PORTABLE TOOL FORMAT ---
+// What export writes and import reads, as a file or inside a share link:
+//
+//   {
+//     "format": "fluid-os.tools",
+//     "version": 1,
+//     "exported_at": "2026-01-31T12:00:00.000Z",
+//     "tools": [
+//       {
+//         "title": "Pomodoro",
+//         "archetype": "Regulator",              // Accumulator | Regulator | Checklist | Drafter
+//         "blueprint": [ ...blocks ],            // same blocks the model generates
+//         "initial_state": { ... },              // starting values, used by reset
+//         "data": { ... }                        // optional: the exporter's current values
+//       }
+//     ]
+//   }
+//
+// Imported tools are re-validated exactly like model output, so a hand-edited or
+// outdated file can't install a broken app, and optional 'data' is kept only where it
+// fits the tool's state. Older documents are brought up to date by MIGRATIONS first.
+// Share links carry the same document in the URL fragment: '#tool=' + 'z' and
+// base64url(deflate-raw(JSON)), or 'j' and base64url(JSON) where the browser can't
+// compress. Fragments never reach a server.
+
+export const FORMAT = 'fluid-os.tools';
+export const FORMAT_VERSION = 1;
+export const LINK_PREFIX = '#tool=';
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const toolFromApp = (app, includeData) => ({
+  title: app.title,
+  archetype: app.archetype,
+  blueprint: app.blueprint,
+  initial_state: app.initial_state || {},
+  ...(includeData ? { data: app.data } : {})
+});
+
+// version -> function upgrading a document from that version to the next.
+const MIGRATIONS = {
+  // v0: anything from before the format existed: a raw 'neural_apps' array or a
+  // single stored app object.
+  0: (doc) => ({
+    format: FORMAT,
+    version: 1,
+    tools: (Array.isArray(doc) ? doc : [doc]).map(app => {
+      // Anything migrateApp can't make sense of goes through as-is; validation explains it.
+      try { return toolFromApp(migrateApp({ id: 0, ...app }), true); } catch (e) { return app; }
+    })
+  })
+};
+
+export const exportApps = (apps, { includeData = true } = {}) => ({
+  format: FORMAT,
+  version: FORMAT_VERSION,
+  exported_at: new Date().toISOString(),
+  tools: apps.map(app => toolFromApp(app, includeData))
+});
+
+const upgrade = (doc) => {
+  let current = doc;
+  let version = current && current.format === FORMAT ? current.version : 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new ImportError("This file is damaged: its format version isn't a version number.");
+  }
+  if (version > FORMAT_VERSION) {
+    throw new ImportError(`This file was made by a newer version of Fluid OS (format v${version}).`);
+  }
+  while (version < FORMAT_VERSION) {
+    current = MIGRATIONS[version](current);
+    version = current.version;
+  }
+  return current;
+};
+
+// Parsed document -> { apps, problems }. Apps get fresh ids; each tool that fails
+// validation is skipped and explained in problems.
+export function importTools(doc) {
+  if (!doc || typeof doc !== 'object') throw new ImportError("Not a Fluid OS tool file.");
+  const upgraded = upgrade(doc);
+  if (!Array.isArray(upgraded.tools) || upgraded.tools.length === 0) throw new ImportError("The file contains no tools.");
+
+  const apps = [];
+  const problems = [];
+  const baseId = Date.now();
+  upgraded.tools.forEach((tool, i) => {
+    const name = (tool && tool.title) || `tool ${i + 1}`;
+    const { tool: valid, errors } = validateTool({
+      tool_name: tool && tool.title,
+      archetype: tool && tool.archetype,
+      blueprint: tool && tool.blueprint,
+      initial_state: tool && tool.initial_state
+    });
+    if (!valid) {
+      problems.push(`${name}: ${errors.join(' ')}`);
+      return;
+    }
+    apps.push({
+      id: baseId + i,
+      title: valid.tool_name,
+      archetype: valid.archetype,
+      blueprint: valid.blueprint,
+      initial_state: valid.initial_state,
+      data: tool.data ? migrateState(tool.data, valid.initial_state, tool.initial_state).data : valid.initial_state
+    });
+  });
+  return { apps, problems };
+}
+
+export const parseToolFile = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new ImportError(`The file is not valid JSON (${e.message}).`);
+  }
+};
+
+// --- SHARE LINKS ---
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+const canCompress = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+const pipeBytes = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+export async function encodeShareLink(doc, baseUrl = window.location.href.split('#')[0]) {
+  const bytes = new TextEncoder().encode(JSON.stringify(doc));
+  const payload = canCompress() 
+    ? 'z' + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))
+    : 'j' + toBase64Url(bytes);
+  return baseUrl + LINK_PREFIX + payload;
+}
+
+// Fragment (with or without the leading '#tool=') -> parsed document.
+export async function decodeShareLink(fragment) {
+  const payload = fragment.startsWith(LINK_PREFIX) ? fragment.slice(LINK_PREFIX.length) : fragment;
+  try {
+    const bytes = fromBase64Url(payload.slice(1));
+    const json = payload[0] === 'z' 
+      ? await pipeBytes(bytes, new DecompressionStream('deflate-raw'))
+      : bytes;
+    return JSON.parse(new TextDecoder().decode(json));
+  } catch (e) {
+    throw new ImportError("The share link is damaged or incomplete.");
+  }
+}
@@ -0,0 +1,78 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { exportApps, importTools, parseToolFile, encodeShareLink, decodeShareLink, ImportError, LINK_PREFIX } from './portable';
+
+// jsdom has neither; without CompressionStream share links take the plain 'j' form.
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const counter = {
+  id: 1,
+  title: 'Water',
+  archetype: 'Accumulator',
+  blueprint: [
+    { type: 'HeroStat', label: 'Glasses', value_key: 'glasses' },
+    { type: 'ActionButton', label: '+1', action: 'INCREMENT_COUNT', payload: { key: 'glasses' } }
+  ],
+  initial_state: { glasses: 0 },
+  data: { glasses: 3 }
+};
+
+describe('export and import', () => {
+  test('round-trips apps and their data', () => {
+    const { apps, problems } = importTools(parseToolFile(JSON.stringify(exportApps([counter]))));
+    expect(problems).toEqual([]);
+    expect(apps).toHaveLength(1);
+    const [app] = apps;
+    expect(app.title).toBe('Water');
+    expect(app.archetype).toBe('Accumulator');
+    expect(app.blueprint).toEqual(counter.blueprint);
+    expect(app.initial_state).toEqual({ glasses: 0 });
+    expect(app.data).toEqual({ glasses: 3 });
+  });
+
+  test('leaving data out starts imported apps fresh', () => {
+    const { apps } = importTools(exportApps([counter], { includeData: false }));
+    expect(apps[0].data).toEqual({ glasses: 0 });
+  });
+
+  test('tools that fail validation are skipped and explained', () => {
+    const doc = exportApps([counter, { ...counter, title: 'Broken', blueprint: 'nope' }]);
+    const { apps, problems } = importTools(doc);
+    expect(apps.map(app => app.title)).toEqual(['Water']);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatch(/^Broken: /);
+  });
+
+  test('a file from a newer version is rejected', () => {
+    const doc = { ...exportApps([counter]), version: 99 };
+    expect(() => importTools(doc)).toThrow(ImportError);
+    expect(() => importTools(doc)).toThrow('This file was made by a newer version of Fluid OS (format v99).');
+  });
+
+  test('a malformed version is rejected', () => {
+    ['x', 1.5, -1, null].forEach(version => {
+      expect(() => importTools({ ...exportApps([counter]), version })).toThrow("This file is damaged: its format version isn't a version number.");
+    });
+  });
+
+  test('files that are not tool documents are rejected', () => {
+    expect(() => parseToolFile('{')).toThrow(ImportError);
+    expect(() => importTools(null)).toThrow('Not a Fluid OS tool file.');
+    expect(() => importTools(exportApps([]))).toThrow('The file contains no tools.');
+  });
+});
+
+describe('share links', () => {
+  test('round-trip a document', async () => {
+    const doc = exportApps([counter]);
+    const link = await encodeShareLink(doc, 'https://example.com/');
+    expect(link.startsWith('https://example.com/' + LINK_PREFIX)).toBe(true);
+    expect(await decodeShareLink(link.slice('https://example.com/'.length))).toEqual(doc);
+  });
+
+  test('a bad link is rejected', async () => {
+    for (const fragment of [LINK_PREFIX + 'j!!!', LINK_PREFIX + 'jabc', LINK_PREFIX, 'jeyJ0b29scyI6']) {
+      await expect(decodeShareLink(fragment)).rejects.toThrow('The share link is damaged or incomplete.');
+    }
+  });
+});
@@ -0,0 +1,64 @@
+import { walkBlocks } from '../blocks';
+import { compileFormula, evaluateFormula, withComputed, readValue } from './formula';
+
+// --- ALERT RULES ---
+// Alert blocks in a blueprint are rules: { when, message, sound? }. A rule fires on
+// the edge, when its formula goes from false to true, so a finished timer alerts once
+// rather than on every check. Per app we persist:
+//   alert_state:   { [when]: true } for rules currently true (survives reloads, so a
+//                  rule that fired while the tab was closed doesn't fire again)
+//   unseen_alerts: count shown as a badge on the dock tile until the app is opened
+//   alert_prefs:   { toast, sound, notify } what firing does for this app
+// Checking is pure; the App plays sounds and shows notifications for what fired.
+
+export const ALERT_DEFAULTS = { toast: true, sound: true, notify: true };
+
+export const alertPrefs = (app) => ({ ...ALERT_DEFAULTS, ...(app && app.alert_prefs) });
+
+export const alertRules = (blueprint) => {
+  const rules = [];
+  walkBlocks(blueprint, block => {
+    if (block.type === 'Alert' && block.when) rules.push(block);
+  });
+  return rules;
+};
+
+export const hasAlerts = (app) => !!app && alertRules(app.blueprint).length > 0;
+
+const isTrue = (rule, values) => {
+  try {
+    return !!evaluateFormula(compileFormula(rule.when), name => readValue(values, name));
+  } catch (e) {
+    return false;
+  }
+};
+
+// Returns { app, fired }. The app is the same object when nothing changed. 'seen'
+// means the app is on screen, so firing doesn't add to its badge.
+export function checkRules(app, { seen = false } = {}) {
+  const rules = alertRules(app.blueprint);
+  const before = app.alert_state || {};
+  if (!rules.length && !Object.keys(before).length) return { app, fired: [] };
+
+  const values = withComputed(app.blueprint, app.data);
+  const active = {};
+  const fired = [];
+  rules.forEach(rule => {
+    if (!isTrue(rule, values)) return;
+    active[rule.when] = true;
+    if (!before[rule.when]) fired.push(rule);
+  });
+
+  const unchanged = Object.keys(active).length === Object.keys(before).length && Object.keys(active).every(k => before[k]);
+  if (unchanged) return { app, fired };
+  return {
+    app: {
+      ...app,
+      alert_state: active,
+      unseen_alerts: seen ? 0 : (app.unseen_alerts || 0) + fired.length
+    },
+    fired
+  };
+}
+
+export const markAlertsSeen = (app) => app.unseen_alerts ? { ...app, unseen_alerts: 0 } : app;
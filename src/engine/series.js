@@ -0,0 +1,98 @@
+// --- VALUE HISTORY ---
+// Apps keep a timestamped trail of every numeric state key that changes:
+//   app.series = { [key]: [{ t, v }, ...] }   (epoch ms, value after the change)
+// The first change of a key also stores the value it changed from, so the first
+// delta isn't lost. Charts turn the trail into per-period buckets.
+// Points written by a scheduled reset (engine/periods) carry reset: true; the drop
+// back to the starting value is a new baseline, not a change anyone made.
+
+export const SERIES_LIMIT = 2000;
+
+export const PERIODS = ['hour', 'day', 'week'];
+
+export function trackSeries(series, prevData, nextData, now = Date.now(), { reset = false } = {}) {
+  let next = series || {};
+  for (const [key, value] of Object.entries(nextData || {})) {
+    if (typeof value !== 'number') continue;
+    const before = prevData ? prevData[key] : undefined;
+    if (before === value) continue;
+
+    const points = next[key] || [];
+    const baseline = points.length === 0 && typeof before === 'number' ? [{ t: now, v: before }] : [];
+    next = { ...next, [key]: [...points, ...baseline, reset ? { t: now, v: value, reset } : { t: now, v: value }].slice(-SERIES_LIMIT) };
+  }
+  return next;
+}
+
+// Start of the period containing t, in local time. Weeks start on Monday.
+export const periodStart = (t, period) => {
+  const d = new Date(t);
+  if (period === 'hour') {
+    d.setMinutes(0, 0, 0);
+  } else {
+    d.setHours(0, 0, 0, 0);
+    if (period === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  }
+  return d.getTime();
+};
+
+const nextPeriodStart = (start, period) => {
+  const d = new Date(start);
+  if (period === 'hour') d.setHours(d.getHours() + 1);
+  else d.setDate(d.getDate() + (period === 'week' ? 7 : 1));
+  return d.getTime();
+};
+
+const previousPeriodStart = (start, period) => {
+  const d = new Date(start);
+  if (period === 'hour') d.setHours(d.getHours() - 1);
+  else d.setDate(d.getDate() - (period === 'week' ? 7 : 1));
+  return d.getTime();
+};
+
+const bucketLabel = (start, period) => {
+  const d = new Date(start);
+  if (period === 'hour') return `${d.getHours()}:00`;
+  if (period === 'week') return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return d.toLocaleDateString(undefined, { weekday: 'short' });
+};
+
+// The last `range` periods up to and including the current one:
+//   [{ start, label, delta, value }]
+// delta is the net change during the period (e.g. glasses drunk that day); value is
+// the key's value at the end of it.
+export function bucketize(points, period = 'day', range = 7, now = Date.now()) {
+  const starts = [periodStart(now, period)];
+  while (starts.length < range) starts.unshift(previousPeriodStart(starts[0], period));
+
+  const sorted = [...(points || [])].sort((a, b) => a.t - b.t);
+  let i = 0;
+  let last = null;
+  // Value carried in from before the window.
+  while (i < sorted.length && sorted[i].t < starts[0]) last = sorted[i++].v;
+
+  return starts.map(start => {
+    const end = nextPeriodStart(start, period);
+    let delta = 0;
+    while (i < sorted.length && sorted[i].t < end) {
+      if (last !== null && !sorted[i].reset) delta += sorted[i].v - last;
+      last = sorted[i].v;
+      i++;
+    }
+    return { start, label: bucketLabel(start, period), delta, value: last === null ? 0 : last };
+  });
+}
+
+// Consecutive periods with a positive change, counting back from the current one. The
+// current period doesn't break a streak just because it hasn't happened yet today.
+export function streak(buckets) {
+  let count = 0;
+  for (let i = buckets.length - 1; i >= 0; i--) {
+    if (buckets[i].delta > 0) count++;
+    else if (i !== buckets.length - 1) break;
+  }
+  return count;
+}
+
+export const average = (buckets) => 
+  buckets.length ? buckets.reduce((sum, b) => sum + b.delta, 0) / buckets.length : 0;
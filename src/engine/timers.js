@@ -0,0 +1,112 @@
+// --- WALL-CLOCK TIMERS ---
+// A timer is plain JSON stored under a state key:
+//   { mode: 'countdown' | 'stopwatch', duration, started_at, elapsed, laps }
+//   duration   - seconds (countdowns only)
+//   started_at - epoch ms of the current run, or null while paused/stopped
+//   elapsed    - ms accumulated by earlier runs
+//   laps       - elapsed ms at each lap (stopwatches)
+// Nothing ticks: every reading is computed from Date.now(), so timers keep correct
+// time in throttled background tabs and across reloads, and an app can hold any
+// number of them.
+
+export const TIMER_MODES = ['countdown', 'stopwatch'];
+
+export const createTimer = (mode = 'countdown', duration = 60) => ({
+  mode: TIMER_MODES.includes(mode) ? mode : 'countdown',
+  duration: Number(duration) || 0,
+  started_at: null,
+  elapsed: 0,
+  laps: []
+});
+
+export const isTimer = (value) => !!value && typeof value === 'object' && TIMER_MODES.includes(value.mode);
+
+export const isRunning = (timer) => isTimer(timer) && timer.started_at !== null && timer.started_at !== undefined;
+
+export const elapsedMs = (timer, now = Date.now()) => {
+  if (!isTimer(timer)) return 0;
+  const running = isRunning(timer) ? Math.max(0, now - timer.started_at) : 0;
+  const total = (timer.elapsed || 0) + running;
+  return timer.mode === 'countdown' ? Math.min(total, timer.duration * 1000) : total;
+};
+
+export const remainingMs = (timer, now = Date.now()) => {
+  if (!isTimer(timer) || timer.mode !== 'countdown') return 0;
+  return Math.max(0, timer.duration * 1000 - elapsedMs(timer, now));
+};
+
+export const isFinished = (timer, now = Date.now()) => 
+  isTimer(timer) && timer.mode === 'countdown' && timer.duration > 0 && remainingMs(timer, now) === 0;
+
+// What the user should see: time left for countdowns, time elapsed for stopwatches.
+export const displayMs = (timer, now = Date.now()) => 
+  timer && timer.mode === 'countdown' ? remainingMs(timer, now) : elapsedMs(timer, now);
+
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+};
+
+// --- TRANSITIONS (pure; 'now' is passed in) ---
+
+export const startTimer = (timer, now) => {
+  if (isRunning(timer)) return timer;
+  // Starting a finished countdown starts it over.
+  const base = isFinished(timer, now) ? { ...timer, elapsed: 0, laps: [] } : timer;
+  return { ...base, started_at: now };
+};
+
+export const pauseTimer = (timer, now) => {
+  if (!isRunning(timer)) return timer;
+  return { ...timer, elapsed: elapsedMs(timer, now), started_at: null };
+};
+
+export const resetTimer = (timer, duration) => ({
+  ...timer,
+  duration: duration !== undefined && duration !== null ? Number(duration) || 0 : timer.duration,
+  started_at: null,
+  elapsed: 0,
+  laps: []
+});
+
+export const lapTimer = (timer, now) => 
+  isRunning(timer) ? { ...timer, laps: [...(timer.laps || []), elapsedMs(timer, now)] } : timer;
+
+// --- LEGACY MIGRATION ---
+// Apps generated before timers were explicit kept a bare seconds counter plus
+// 'is_running'/'finished' flags that a one-second heartbeat decremented. Convert the
+// counter into a paused countdown and point the blueprint at it.
+const withoutLegacyFlags = ({ is_running, finished, ...rest }) => rest;
+
+export const migrateLegacyTimers = (app) => {
+  const data = app.data || {};
+  if (app.archetype !== 'Regulator' || !('is_running' in data)) return app;
+
+  const keys = Object.keys(data);
+  const timeKey = keys.includes('time_remaining') ? 'time_remaining' : keys.find(k => typeof data[k] === 'number');
+  if (!timeKey) return app;
+
+  const initial = app.initial_state && typeof app.initial_state[timeKey] === 'number' ? app.initial_state[timeKey] : data[timeKey];
+  const timer = { ...createTimer('countdown', initial), elapsed: Math.max(0, initial - data[timeKey]) * 1000 };
+
+  const blueprint = (app.blueprint || []).map(block => {
+    if (block.type === 'HeroStat' && block.value_key === timeKey) {
+      return { type: 'Timer', label: block.label, timer_key: timeKey, mode: 'countdown', duration: initial, controls: false };
+    }
+    if (block.type === 'ActionButton' && /_TIMER$/.test(block.action)) {
+      return { ...block, payload: { ...(block.payload || {}), key: timeKey } };
+    }
+    return block;
+  });
+
+  return {
+    ...app,
+    blueprint,
+    initial_state: { ...withoutLegacyFlags(app.initial_state || {}), [timeKey]: createTimer('countdown', initial) },
+    data: { ...withoutLegacyFlags(data), [timeKey]: timer }
+  };
+};
@@ -0,0 +1,208 @@
+import { createIndexedDbBackend, isIndexedDbAvailable } from './indexedDbBackend';
+import { createLocalStorageBackend } from './localStorageBackend';
+import { migrateApp, APP_SCHEMA_VERSION } from './migrations';
+
+// --- APP STORE ---
+// Durable home for the dock's apps, behind a small interface:
+//   const store = await openAppStore({ onRemoteChange, onError });
+//   const { apps, problems } = await store.load();
+//   store.save(apps);   // call freely; writes are batched
+//   store.close();
+// Apps are stored one record per app (IndexedDB, or localStorage where that's
+// missing). save() only writes apps whose object changed since the last write (apps are
+// immutable, so that is a reference check) and debounces, so a burst of taps is one
+// write. Tabs announce what they wrote on a BroadcastChannel; other tabs re-read those
+// records and hand them to onRemoteChange. Every record carries a revision, and a write
+// based on a revision that another tab has since replaced is dropped in favour of the
+// stored copy, so two tabs never silently overwrite each other.
+
+const LEGACY_KEY = 'neural_apps';
+const CHANNEL_NAME = 'fluid-os-apps';
+const FLUSH_DELAY_MS = 400;
+
+// The original UI kept everything in one localStorage array. Bring it over once and
+// keep the raw value under a backup key; a value that won't parse is set aside, not lost.
+const readLegacyApps = (problems) => {
+  const raw = localStorage.getItem(LEGACY_KEY);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    localStorage.setItem(`${LEGACY_KEY}_backup`, raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    localStorage.setItem(`${LEGACY_KEY}_corrupt`, raw);
+    problems.push(`Your saved tools could not be read and were set aside under '${LEGACY_KEY}_corrupt'.`);
+    return [];
+  } finally {
+    localStorage.removeItem(LEGACY_KEY);
+  }
+};
+
+const openBackend = async () => {
+  if (isIndexedDbAvailable()) {
+    try {
+      return await createIndexedDbBackend();
+    } catch (e) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+    }
+  }
+  return createLocalStorageBackend();
+};
+
+// Folds another tab's changes into this tab's app list.
+export const mergeRemoteChanges = (apps, updated, deleted) => {
+  const next = apps.filter(app => !deleted.includes(app.id));
+  updated.forEach(app => {
+    const i = next.findIndex(a => a.id === app.id);
+    if (i >= 0) next[i] = app;
+    else next.push(app);
+  });
+  return next;
+};
+
+export async function openAppStore({ onRemoteChange = () => {}, onError = console.error } = {}) {
+  const backend = await openBackend();
+  const tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  // id -> { app, rev, order } as last written or read. 'app' is the exact object, so
+  // an unchanged app costs nothing to skip.
+  const saved = new Map();
+  let pending = null;
+  let timer = null;
+  let writing = Promise.resolve();
+
+  const toRecord = (app, rev, order) => ({ ...app, _schema: APP_SCHEMA_VERSION, _rev: rev, _order: order });
+
+  // Re-reads records another tab wrote (or that lost a write conflict) and passes
+  // them up. Ids with no record left were deleted.
+  const adoptStored = async (ids) => {
+    const records = await backend.getMany(ids);
+    const updated = [];
+    const deleted = [];
+    records.forEach((record, i) => {
+      if (!record) {
+        saved.delete(ids[i]);
+        deleted.push(ids[i]);
+        return;
+      }
+      try {
+        const app = migrateApp(record);
+        saved.set(app.id, { app, rev: record._rev, order: record._order });
+        updated.push(app);
+      } catch (e) {
+        onError(e);
+      }
+    });
+    if (updated.length || deleted.length) onRemoteChange({ updated, deleted });
+  };
+
+  const doFlush = async () => {
+    if (!pending) return;
+    const apps = pending;
+    pending = null;
+
+    const puts = [];
+    apps.forEach((app, order) => {
+      const prev = saved.get(app.id);
+      if (prev && prev.app === app && prev.order === order) return;
+      const rev = ((prev && prev.rev) || 0) + 1;
+      puts.push({ app, rev, order, expectedRev: prev ? prev.rev : undefined });
+    });
+    const liveIds = new Set(apps.map(a => a.id));
+    const deletes = [...saved.keys()].filter(id => !liveIds.has(id));
+    if (!puts.length && !deletes.length) return;
+
+    try {
+      const conflicts = await backend.write(
+        puts.map(p => ({ record: toRecord(p.app, p.rev, p.order), expectedRev: p.expectedRev })),
+        deletes
+      );
+      const written = puts.filter(p => !conflicts.includes(p.app.id));
+      written.forEach(p => saved.set(p.app.id, { app: p.app, rev: p.rev, order: p.order }));
+      deletes.forEach(id => saved.delete(id));
+      if (channel) channel.postMessage({ from: tabId, changed: written.map(p => p.app.id), deleted: deletes });
+      if (conflicts.length) await adoptStored(conflicts);
+    } catch (e) {
+      onError(e);
+    }
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    writing = writing.then(doFlush);
+    return writing;
+  };
+
+  const onPageHide = () => { flush(); };
+  const onVisibility = () => { if (document.visibilityState === 'hidden') flush(); };
+  window.addEventListener('pagehide', onPageHide);
+  document.addEventListener('visibilitychange', onVisibility);
+
+  if (channel) {
+    channel.onmessage = (e) => {
+      const { from, changed = [], deleted = [] } = e.data || {};
+      if (from === tabId) return;
+      deleted.forEach(id => saved.delete(id));
+      if (deleted.length) onRemoteChange({ updated: [], deleted });
+      if (changed.length) adoptStored(changed).catch(onError);
+    };
+  }
+
+  return {
+    backend: backend.name,
+
+    // Resolves to { apps, problems }. Never throws: unreadable storage or records are
+    // skipped (and left in place) with an explanation in problems.
+    async load() {
+      const problems = [];
+      let records = [];
+      try {
+        records = await backend.getAll();
+      } catch (e) {
+        problems.push(`Stored tools could not be read (${e.message}).`);
+      }
+
+      let fromLegacy = false;
+      if (records.length === 0) {
+        records = readLegacyApps(problems);
+        fromLegacy = records.length > 0;
+      }
+
+      const apps = [];
+      records
+        .map((record, i) => ({ record, order: record && typeof record._order === 'number' ? record._order : i }))
+        .sort((a, b) => a.order - b.order)
+        .forEach(({ record, order }) => {
+          try {
+            const app = migrateApp(record);
+            // Records from an older schema (or the legacy array) get rewritten on the
+            // next save: remember them without an app so they count as changed.
+            const current = !fromLegacy && record._schema === APP_SCHEMA_VERSION;
+            saved.set(app.id, { app: current ? app : null, rev: fromLegacy ? undefined : record._rev, order });
+            apps.push(app);
+          } catch (e) {
+            problems.push(`Skipped a stored tool: ${e.message}.`);
+          }
+        });
+
+      return { apps, problems };
+    },
+
+    save(apps) {
+      pending = apps;
+      clearTimeout(timer);
+      timer = setTimeout(flush, FLUSH_DELAY_MS);
+    },
+
+    flush,
+
+    async close() {
+      window.removeEventListener('pagehide', onPageHide);
+      document.removeEventListener('visibilitychange', onVisibility);
+      await flush();
+      if (channel) channel.close();
+      backend.close();
+    }
+  };
+}
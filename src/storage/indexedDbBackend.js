@@ -0,0 +1,63 @@
+// --- INDEXEDDB BACKEND ---
+// One record per app in the 'apps' store, keyed by app id. Records carry '_rev', which
+// write() checks inside the same transaction, so a tab never overwrites a version of
+// an app it hasn't seen.
+
+const DB_NAME = 'fluid-os';
+const DB_VERSION = 1;
+const STORE = 'apps';
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const openDb = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE, { keyPath: 'id' });
+  };
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+  req.onblocked = () => reject(new Error('The database is open in an older tab; close it and reload.'));
+});
+
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined';
+
+export async function createIndexedDbBackend() {
+  const db = await openDb();
+
+  return {
+    name: 'indexeddb',
+
+    getAll: () => request(db.transaction(STORE).objectStore(STORE).getAll()),
+
+    getMany: (ids) => {
+      const store = db.transaction(STORE).objectStore(STORE);
+      return Promise.all(ids.map(id => request(store.get(id))));
+    },
+
+    // puts: [{ record, expectedRev }] where expectedRev is the '_rev' this tab last saw
+    // (undefined for a new app). Resolves to the ids skipped because the stored rev
+    // moved on.
+    write: (puts, deleteIds) => new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      const conflicts = [];
+      puts.forEach(({ record, expectedRev }) => {
+        const get = store.get(record.id);
+        get.onsuccess = () => {
+          const stored = get.result;
+          if (stored && stored._rev !== expectedRev) conflicts.push(record.id);
+          else store.put(record);
+        };
+      });
+      deleteIds.forEach(id => store.delete(id));
+      tx.oncomplete = () => resolve(conflicts);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+    }),
+
+    close: () => db.close()
+  };
+}
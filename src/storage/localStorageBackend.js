@@ -0,0 +1,48 @@
+// --- LOCALSTORAGE BACKEND ---
+// Fallback where IndexedDB is unavailable (some private modes, old embedded
+// browsers). Same interface as the IndexedDB backend, all records in one key.
+
+const KEY = 'neural_apps_v1';
+
+// A value that won't parse is moved aside (so writes can carry on) and reported once.
+const readAll = () => {
+  const raw = localStorage.getItem(KEY);
+  if (!raw) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    localStorage.setItem(`${KEY}_corrupt`, raw);
+    localStorage.removeItem(KEY);
+    throw new Error(`saved data was damaged and set aside under '${KEY}_corrupt'`);
+  }
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+export async function createLocalStorageBackend() {
+  return {
+    name: 'localstorage',
+
+    getAll: async () => readAll(),
+
+    getMany: async (ids) => {
+      const all = readAll();
+      return ids.map(id => all.find(r => r && r.id === id));
+    },
+
+    write: async (puts, deleteIds) => {
+      const byId = new Map(readAll().map(r => [r.id, r]));
+      const conflicts = [];
+      puts.forEach(({ record, expectedRev }) => {
+        const stored = byId.get(record.id);
+        if (stored && stored._rev !== expectedRev) conflicts.push(record.id);
+        else byId.set(record.id, record);
+      });
+      deleteIds.forEach(id => byId.delete(id));
+      localStorage.setItem(KEY, JSON.stringify([...byId.values()]));
+      return conflicts;
+    },
+
+    close: () => {}
+  };
+}
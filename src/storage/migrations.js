@@ -0,0 +1,43 @@
+import { migrateLegacyTimers } from '../engine/timers';
+
+// --- APP SHAPE MIGRATIONS ---
+// Every stored app carries the schema version it was written with ('_schema'). On load
+// each record is walked forward through MIGRATIONS until it reaches
+// APP_SCHEMA_VERSION; bump the version and add a step whenever the app shape changes.
+
+export const APP_SCHEMA_VERSION = 1;
+
+export class CorruptRecordError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CorruptRecordError';
+  }
+}
+
+const MIGRATIONS = {
+  // v0: apps from before versioning. Bare seconds counters become timers, and
+  // initial_state (needed by RESET_APP and edits) falls back to the current data.
+  0: (app) => {
+    const migrated = migrateLegacyTimers(app);
+    return { ...migrated, initial_state: migrated.initial_state || { ...(migrated.data || {}) } };
+  }
+};
+
+// Stored record (or legacy app object) -> current app shape. Throws
+// CorruptRecordError for anything that isn't recognisably an app.
+export function migrateApp(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) throw new CorruptRecordError('not an object');
+  if (record.id === undefined || record.id === null) throw new CorruptRecordError('missing id');
+  if (!Array.isArray(record.blueprint)) throw new CorruptRecordError(`app ${record.id} has no blueprint`);
+
+  const { _schema, _rev, _order, ...app } = record;
+  let version = typeof _schema === 'number' ? _schema : 0;
+  if (version > APP_SCHEMA_VERSION) throw new CorruptRecordError(`app ${record.id} was saved by a newer version (schema ${version})`);
+
+  let current = { ...app, data: app.data && typeof app.data === 'object' ? app.data : {} };
+  while (version < APP_SCHEMA_VERSION) {
+    current = MIGRATIONS[version](current);
+    version++;
+  }
+  return current;
+}
@@ -0,0 +1,31 @@
+// --- CHAT THREADS ---
+// Every app keeps the conversation that created and edited it on its own record
+// (app.thread), so it is saved, synced across tabs and deleted along with the app.
+// Requests for new tools go to the general thread, kept here in localStorage.
+// A message is { role: 'user' | 'model' | 'system', text, at, choices? }.
+
+export const THREAD_LIMIT = 100;
+
+const GENERAL_KEY = 'neural_chat_general';
+
+export const loadGeneralThread = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(GENERAL_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+export const saveGeneralThread = (thread) => {
+  try {
+    localStorage.setItem(GENERAL_KEY, JSON.stringify(thread));
+  } catch (e) {
+    console.warn('Could not save the chat:', e);
+  }
+};
+
+export const appendToThread = (thread, entries) =>
+  [...(thread || []), ...entries.map(m => ({ at: Date.now(), ...m }))].slice(-THREAD_LIMIT);
+
+export const lastActivity = (thread) => (thread && thread.length ? thread[thread.length - 1].at || 0 : 0);
@@ -0,0 +1,42 @@
+import { parseAmount, extractLabel, parseResetPeriod } from './extract';
+
+// BUDGET (Regulator): "$200 grocery budget", "2000 calorie limit"
+// Spending goes up in fixed steps; what's left is a Computed value. A daily or weekly
+// budget starts over on schedule.
+const stepFor = (amount) => Math.max(1, Math.pow(10, Math.floor(Math.log10(amount))) / 10);
+
+export default {
+  id: 'budget',
+  name: 'Budget',
+  archetype: 'Regulator',
+  requires: ['amount'],
+  match: /\b(budget|spend|spending|expenses?|allowance|calories?|kcal|limit)\b/i,
+  params: (text) => {
+    const step = text.match(/\b(?:steps? of|increments? of|by)\s*[$€£]?(\d+)/i);
+    return {
+      label: extractLabel(text, ['budget', 'limit', 'spending', 'spend']) || 'Budget',
+      amount: parseAmount(text),
+      step: step ? Number(step[1]) : null,
+      reset: parseResetPeriod(text)
+    };
+  },
+  build: ({ label, amount: given, step: givenStep, reset }) => {
+    const amount = given || 100;
+    const step = givenStep || stepFor(amount);
+    return {
+      tool_name: label === 'Budget' ? 'Budget' : `${label} Budget`,
+      archetype: 'Regulator',
+      blueprint: [
+        { type: 'Computed', name: 'remaining', expr: 'budget - spent' },
+        { type: 'HeroStat', label: `Left of ${amount}`, value_key: 'remaining' },
+        { type: 'ActionButton', label: `+${step}`, action: 'INCREMENT_COUNT', payload: { key: 'spent', amount: step } },
+        { type: 'ActionButton', label: `+${step * 5}`, action: 'INCREMENT_COUNT', payload: { key: 'spent', amount: step * 5 } },
+        { type: 'ActionButton', label: `-${step}`, action: 'DECREMENT_COUNT', payload: { key: 'spent', amount: step, min: 0 } },
+        { type: 'DailyBars', label: 'Spent per day', value_key: 'spent', period: 'day' },
+        { type: 'Alert', when: 'spent > budget', message: `Over the ${label.toLowerCase()} budget!` },
+        ...(reset ? [{ type: 'Reset', every: reset }] : [])
+      ],
+      initial_state: { budget: amount, spent: 0 }
+    };
+  }
+};
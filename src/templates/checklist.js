@@ -0,0 +1,22 @@
+import { parseListItems, extractLabel } from './extract';
+
+// CHECKLIST (Checklist): "packing list: passport, charger and socks", "shopping list"
+export default {
+  id: 'checklist',
+  name: 'Checklist',
+  archetype: 'Checklist',
+  requires: ['items'],
+  match: /\b(list|checklist|to-?dos?|packing|shopping|groceries|errands|steps)\b/i,
+  params: (text) => ({ label: extractLabel(text) || 'To-do', items: parseListItems(text) }),
+  build: ({ label, items }) => ({
+    tool_name: `${label} List`,
+    archetype: 'Checklist',
+    blueprint: [
+      { type: 'Computed', name: 'progress', expr: 'percent(checked(items), count(items))' },
+      { type: 'HeroStat', label: '% done', value_key: 'progress' },
+      { type: 'Checklist', items_key: 'items' },
+      { type: 'Alert', when: 'all_checked(items)', message: `Everything on the ${label.toLowerCase()} list is done!` }
+    ],
+    initial_state: { items: (items || []).map((item, i) => ({ label: item, checked: false, id: i + 1 })) }
+  })
+};
@@ -0,0 +1,23 @@
+import { parseDuration, extractLabel, describeSeconds } from './extract';
+
+// COUNTDOWN (Regulator): "timer for laundry 45 min", "10 minutes"
+export default {
+  id: 'countdown',
+  name: 'Countdown',
+  archetype: 'Regulator',
+  requires: ['seconds'],
+  match: /\b(timer|countdown|count down|alarm)\b|^\s*\d+(\.\d+)?\s*(h|hours?|hrs?|m|mins?|minutes?|s|secs?|seconds?)\b/i,
+  params: (text) => ({ label: extractLabel(text) || 'Kitchen', seconds: parseDuration(text) }),
+  build: ({ label, seconds: given }) => {
+    const seconds = given || 300;
+    return {
+      tool_name: `${label} Timer`,
+      archetype: 'Regulator',
+      blueprint: [
+        { type: 'Timer', label: describeSeconds(seconds), timer_key: 'timer', mode: 'countdown', duration: seconds },
+        { type: 'Alert', when: 'finished(timer)', message: `${label} timer is done!` }
+      ],
+      initial_state: {}
+    };
+  }
+};
@@ -0,0 +1,25 @@
+import { parseAmount, extractLabel, parseResetPeriod } from './extract';
+
+// COUNTER (Accumulator): "count pushups", "glasses of water, 8 a day"
+// A number in the request becomes a target with an alert; "a day"/"today" resets it daily.
+export default {
+  id: 'counter',
+  name: 'Counter',
+  archetype: 'Accumulator',
+  requires: ['target'],
+  match: /\b(count|counter|tally|clicker|how many|reps|pushups|push-ups|glasses|cups|laps)\b/i,
+  params: (text) => ({ label: extractLabel(text) || 'Count', target: parseAmount(text), reset: parseResetPeriod(text) }),
+  build: ({ label, target, reset }) => ({
+    tool_name: `${label} Counter`,
+    archetype: 'Accumulator',
+    blueprint: [
+      { type: 'HeroStat', label: target ? `${label} (goal ${target})` : label, value_key: 'count' },
+      { type: 'ActionButton', label: '+1', action: 'INCREMENT_COUNT', payload: { key: 'count', amount: 1 } },
+      { type: 'ActionButton', label: '-1', action: 'DECREMENT_COUNT', payload: { key: 'count', amount: 1, min: 0 } },
+      { type: 'DailyBars', label: 'This Week', value_key: 'count', period: 'day' },
+      ...(target ? [{ type: 'Alert', when: `count >= ${target}`, message: `${label}: goal of ${target} reached!` }] : []),
+      ...(reset ? [{ type: 'Reset', every: reset }] : [])
+    ],
+    initial_state: { count: 0 }
+  })
+};
@@ -0,0 +1,82 @@
+// --- PARAMETER EXTRACTION ---
+// Small, forgiving parsers that pull the numbers and words a template needs out of a
+// plain request ("timer for laundry 45 min", "packing list: socks, charger and passport").
+// Each returns null when it finds nothing, so templates can fall back to defaults.
+
+const UNIT_SECONDS = { h: 3600, m: 60, s: 1 };
+
+const DURATION = /(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b/gi;
+
+// Every duration in the text, in seconds, in the order they appear.
+export const parseDurations = (text) => {
+  const found = [];
+  const clock = text.match(/\b(\d{1,2}):([0-5]\d)\b/);
+  if (clock) found.push(Number(clock[1]) * 60 + Number(clock[2]));
+  if (/\bhalf an hour\b/i.test(text)) found.push(1800);
+  if (/\b(an|one) hour\b/i.test(text)) found.push(3600);
+  for (const m of text.matchAll(DURATION)) {
+    found.push(Math.round(Number(m[1]) * UNIT_SECONDS[m[2][0].toLowerCase()]));
+  }
+  return found;
+};
+
+// The first duration, or the sum of compound ones ("1h 30m").
+export const parseDuration = (text) => {
+  const compound = text.match(/(\d+)\s*h(?:ours?|rs?)?\s*(?:and\s*)?(\d+)\s*m(?:inutes?|ins?)?\b/i);
+  if (compound) return Number(compound[1]) * 3600 + Number(compound[2]) * 60;
+  const all = parseDurations(text);
+  return all.length ? all[0] : null;
+};
+
+// The first number that isn't part of a duration: "$1,200", "2000 calories", "8 glasses".
+export const parseAmount = (text) => {
+  const stripped = text.replace(DURATION, ' ').replace(/\b\d{1,2}:[0-5]\d\b/g, ' ');
+  const m = stripped.match(/[$€£]?\s*(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)/);
+  return m ? Number(m[1].replace(/,/g, '')) : null;
+};
+
+// How often the tool should start over: "coffees today" -> 'day', "weekly budget" -> 'week'.
+export const parseResetPeriod = (text) => {
+  if (/\b(today|daily|tonight|(?:a|per|each|every) day)\b/i.test(text)) return 'day';
+  if (/\b(weekly|this week|(?:a|per|each|every) week)\b/i.test(text)) return 'week';
+  return null;
+};
+
+// Items after a colon or "with"/"of"/"for", split on commas, "and", new lines and bullets.
+export const parseListItems = (text) => {
+  const m = text.match(/(?::|\b(?:with|of|containing|including)\b)\s*([\s\S]+)$/i);
+  if (!m) return null;
+  const items = m[1]
+    .split(/\n|,|;|\band\b|\s-\s|•/i)
+    .map(s => s.replace(/^[\s\-*\d.)]+/, '').trim())
+    .filter(s => s && s.length <= 60);
+  return items.length >= 2 ? items : null;
+};
+
+const FILLER = new Set(`a an the for my me our i we you to of on in at with and please can could would
+make create build give need want set start new simple quick little app tool track tracker count counter
+timer countdown list checklist notes note pad minute minutes min mins hour hours hr hrs second seconds sec
+secs every each per day today daily week weekly how many much keep up`.split(/\s+/));
+
+const titleCase = (s) => s.replace(/\b\w/g, c => c.toUpperCase());
+
+// What the tool is about: "timer for laundry" -> "Laundry". Words before a colon only,
+// so list items don't leak into the name.
+export const extractLabel = (text, extraFiller = []) => {
+  const head = text.split(':')[0].toLowerCase();
+  const words = head
+    .replace(DURATION, ' ')
+    .replace(/[$€£]?\d[\d,.:]*/g, ' ')
+    .replace(/[^a-z\s'-]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w && !FILLER.has(w) && !extraFiller.includes(w));
+  return words.length ? titleCase(words.slice(0, 3).join(' ')) : null;
+};
+
+// 1500 -> "25 min", 90 -> "1 min 30 s", 3600 -> "1 h".
+export const describeSeconds = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return [h && `${h} h`, m && `${m} min`, s && `${s} s`].filter(Boolean).join(' ') || '0 s';
+};
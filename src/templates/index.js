@@ -0,0 +1,62 @@
+import pomodoro from './pomodoro';
+import budget from './budget';
+import countdown from './countdown';
+import checklist from './checklist';
+import notes from './notes';
+import counter from './counter';
+import { validateTool } from '../ai/validateTool';
+
+// --- TEMPLATE LIBRARY & INTENT ROUTER ---
+// Obvious requests ("timer for laundry", "packing list: socks, charger") are built
+// locally from a parameterised template: instant, and with no API key at all. Each
+// template declares:
+//   id, name, archetype
+//   match    - pattern that says the request is for this template
+//   params   - (text) => parameters pulled from the request (see extract.js), null
+//              where the request didn't say
+//   requires - the params that make the request specific enough to skip the model
+//              when one is set up ("packing list: socks, charger", not "steps to bake
+//              bread"); none means the template is only an offline fallback
+//   build    - (params) => a tool in the same shape the model returns, filling in
+//              defaults for whatever the request left out
+// Order matters: the first match wins, so specific templates (pomodoro) come before
+// general ones (countdown).
+export const TEMPLATES = [pomodoro, budget, countdown, checklist, notes, counter];
+
+// Longer requests probably ask for more than a template gives them.
+const SIMPLE_WORDS = 10;
+
+// { template, params, simple } or null. 'simple' is true only when the request is
+// short, mentions one kind of tool, and gave every parameter the template requires;
+// with a model set up, everything else goes to the model first.
+export function routeIntent(text) {
+  const matches = TEMPLATES.filter(t => t.match.test(text));
+  if (!matches.length) return null;
+  const template = matches[0];
+  const params = template.params(text);
+  const head = text.split(':')[0].trim();
+  const kinds = new Set(matches.map(t => t.archetype));
+  const specific = template.requires.length > 0 && template.requires.every(name => params[name] !== null && params[name] !== undefined);
+  return {
+    template,
+    params,
+    simple: specific && head.split(/\s+/).length <= SIMPLE_WORDS && kinds.size === 1
+  };
+}
+
+// Routes and builds in one go: { tool, template, simple } or null. Templates go through
+// the validator like anything else, so they can never drift from the block catalog
+// unnoticed; a broken one is skipped (with a warning for whoever broke it) and the
+// request goes on as if no template matched.
+export function instantTool(text) {
+  const route = routeIntent(text);
+  if (!route) return null;
+  const { tool, errors } = validateTool(route.template.build(route.params));
+  if (!tool) {
+    console.warn(`Template '${route.template.id}' is broken: ${errors.join('; ')}`);
+    return null;
+  }
+  return { tool, template: route.template, simple: route.simple };
+}
+
+export const describeTemplates = () => TEMPLATES.map(t => t.name.toLowerCase()).join(', ');
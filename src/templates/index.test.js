@@ -0,0 +1,64 @@
+import { routeIntent, instantTool, TEMPLATES } from './index';
+
+describe('routeIntent', () => {
+  test.each([
+    ['packing list: passport, charger and socks', 'checklist'],
+    ['timer for laundry 45 min', 'countdown'],
+    ['$200 grocery budget', 'budget'],
+    ['pomodoro 50/10', 'pomodoro'],
+    ['8 glasses of water a day', 'counter']
+  ])('"%s" is specific enough to build without the model', (text, id) => {
+    const route = routeIntent(text);
+    expect(route.template.id).toBe(id);
+    expect(route.simple).toBe(true);
+  });
+
+  test.each([
+    'make me a list of italian dishes to cook',
+    'steps to bake bread',
+    'remind me of the spending limit rules for my team',
+    'what is a good note taking method',
+    'pomodoro',
+    'count pushups'
+  ])('"%s" leaves out what the template needs, so the model goes first', (text) => {
+    const route = routeIntent(text);
+    expect(route).not.toBeNull();
+    expect(route.simple).toBe(false);
+  });
+
+  test('long or mixed requests go to the model', () => {
+    expect(routeIntent('a 25 min timer and a packing list: socks, charger').simple).toBe(false);
+  });
+
+  test('requests no template covers are not routed', () => {
+    expect(routeIntent('a habit tracker with streaks')).toBeNull();
+  });
+});
+
+describe('instantTool', () => {
+  test('fills in defaults for an offline build', () => {
+    const { tool } = instantTool('steps to bake bread');
+    expect(tool.initial_state.items).toEqual([]);
+    expect(instantTool('timer for tea').tool.blueprint[0].duration).toBe(300);
+  });
+
+  test('every template builds a valid tool from a bare request', () => {
+    TEMPLATES.forEach(template => {
+      expect(instantTool(template.name)).not.toBeNull();
+    });
+  });
+
+  test('a broken template is skipped with a warning instead of throwing', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const checklist = TEMPLATES.find(t => t.id === 'checklist');
+    const build = checklist.build;
+    checklist.build = () => ({ tool_name: 'Broken', blueprint: [] });
+    try {
+      expect(instantTool('packing list: socks, charger')).toBeNull();
+      expect(warn).toHaveBeenCalled();
+    } finally {
+      checklist.build = build;
+      warn.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,21 @@
+import { extractLabel } from './extract';
+
+// NOTES (Drafter): "meeting notes", "brainstorm ideas for the party"
+export default {
+  id: 'notes',
+  name: 'Notes',
+  archetype: 'Drafter',
+  requires: [],
+  match: /\b(notes?|ideas?|brainstorm|journal|jot|thoughts?|draft|scratch ?pad)\b/i,
+  params: (text) => ({ label: extractLabel(text, ['ideas', 'idea', 'brainstorm', 'journal', 'jot', 'thoughts', 'draft', 'down']) || 'Quick' }),
+  build: ({ label }) => ({
+    tool_name: `${label} Notes`,
+    archetype: 'Drafter',
+    blueprint: [
+      { type: 'TextBlock', text: `# ${label}\n- Write fast, judge later\n- One idea per line` },
+      { type: 'NoteList', label: 'Ideas', items_key: 'ideas' },
+      { type: 'NoteArea', label: 'Scratchpad', text_key: 'draft' }
+    ],
+    initial_state: { ideas: [], draft: '' }
+  })
+};
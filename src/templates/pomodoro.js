@@ -0,0 +1,29 @@
+import { parseDurations } from './extract';
+
+// POMODORO (Regulator): "pomodoro", "pomodoro 50/10", "focus timer 45 min with 15 min break"
+export default {
+  id: 'pomodoro',
+  name: 'Pomodoro',
+  archetype: 'Regulator',
+  requires: ['work'],
+  match: /\b(pomodoro|focus (timer|session)s?|work sprints?)\b/i,
+  params: (text) => {
+    const slash = text.match(/\b(\d+)\s*\/\s*(\d+)\b/);
+    const durations = slash ? [Number(slash[1]) * 60, Number(slash[2]) * 60] : parseDurations(text);
+    return { work: durations[0] || null, rest: durations[1] || null };
+  },
+  build: ({ work, rest }) => ({
+    tool_name: 'Pomodoro',
+    archetype: 'Regulator',
+    blueprint: [
+      { type: 'Timer', label: 'Focus', timer_key: 'focus', mode: 'countdown', duration: work || 1500 },
+      { type: 'Timer', label: 'Break', timer_key: 'break', mode: 'countdown', duration: rest || 300 },
+      { type: 'HeroStat', label: 'Sessions', value_key: 'sessions' },
+      { type: 'ActionButton', label: 'Log session', action: 'INCREMENT_COUNT', payload: { key: 'sessions', amount: 1 } },
+      { type: 'DailyBars', label: 'Sessions per day', value_key: 'sessions', period: 'day' },
+      { type: 'Alert', when: 'finished(focus)', message: 'Focus session done. Take a break.' },
+      { type: 'Alert', when: 'finished(break)', message: 'Break is over. Back to it.' }
+    ],
+    initial_state: { sessions: 0 }
+  })
+};